@@ -10,7 +10,9 @@ const DEFAULT_IPFS_API_URL = 'http://127.0.0.1:5001/api/v0'; // Default IPFS API
 const os = require('os'); // Provides operating system-related utility methods and properties (e.g., home directory).
 const path = require('path'); // Provides utilities for working with file and directory paths.
 const zlib = require('zlib'); // Provides compression and decompression functionalities (e.g., gzip for archives).
+const crypto = require('crypto'); // Provides hashing (SHA-256) for archive integrity digests.
 const { pipeline } = require('stream/promises'); // Utility for robustly piping streams together using async/await, ensuring proper error handling.
+const { spawn } = require('child_process'); // Runs lifecycle scripts from lib.config.json through the system shell.
 
 // --- Third-party CLI Utility Modules ---
 const ora = require('ora'); // Displays elegant spinners in the terminal during long operations.
@@ -26,6 +28,7 @@ const { ethers } = require('ethers'); // Comprehensive library for interacting w
 const fs = require('fs-extra'); // Extends the native 'fs' module with additional methods like `ensureDirSync`.
 const archiver = require('archiver'); // Library for creating archives (e.g., .tar.gz).
 const tar = require('tar-fs'); // Stream-based library for packing and unpacking tar archives.
+const ignore = require('ignore'); // Matches paths against gitignore-style patterns (`.tpkmignore`, the "files" field).
 
 // --- Semantic Versioning ---
 const semver = require('semver'); // Library for parsing and comparing semantic version strings (e.g., "1.2.3").
@@ -47,14 +50,36 @@ const keystorePath = path.join(keystoreDir, 'keystore.json'); // Full path to th
 const networkConfigDir = path.join(os.homedir(), '.tacopkm'); // Directory for network configuration (same as keystore).
 const networkConfigPath = path.join(networkConfigDir, 'networks.json'); // Full path to the network configuration file (~/.tacopkm/networks.json).
 
+// --- Archive Cache Path ---
+// Downloaded archives are kept here, keyed by IPFS CID, and shared by all projects.
+const archiveCacheDir = path.join(os.homedir(), '.tacopkm', 'cache'); // ~/.tacopkm/cache
+
+// --- Registry Metadata Index Path ---
+// On-chain metadata (library info, version lists, version details) is indexed here, one file per network profile.
+const metadataIndexDir = path.join(os.homedir(), '.tacopkm', 'index'); // ~/.tacopkm/index
+
 // --- Ethers.js & IPFS Client Setup (Lazy Initialized) ---
 // These clients are initialized only when needed ('on demand') to avoid unnecessary
 // connections, allow for dynamic network switching based on configuration, and
 // improve startup time.
 let provider = null; // Ethers.js provider instance for read-only blockchain interaction (initialized by ensureNetworkClientsInitialized).
 let registryAbi = null; // ABI (Application Binary Interface) for the LibraryRegistry smart contract (loaded once).
+// Optional functions of newer registry deployments that are not part of ./abi/LibraryRegistry.json.
+// They are appended to the loaded ABI; on older contracts calling them fails (see `isMissingRegistryFunction`).
+const REGISTRY_EXTENSION_ABI = [
+    'function publishVersionWithIntegrity(string libraryName, string versionString, string ipfsHash, string integrity, tuple(string name, string constraint)[] dependencies)', // Emits VersionPublished.
+    'function getVersionIntegrity(string libraryName, string versionString) view returns (string)', // Empty if published without one.
+    'function deprecateVersionWithMessage(string libraryName, string versionString, string message)', // Emits VersionDeprecated.
+    'function undeprecateVersion(string libraryName, string versionString)',
+    'function getDeprecationMessage(string libraryName, string versionString) view returns (string)',
+    'event VersionUndeprecated(string indexed libraryName, string versionString)',
+    'function setDistTag(string libraryName, string tag, string versionString)',
+    'function removeDistTag(string libraryName, string tag)',
+    'function getDistTags(string libraryName) view returns (string[] tags, string[] versions)',
+    'event DistTagChanged(string indexed libraryName, string tag, string versionString)', // Empty version when removed.
+];
 let contractReadOnly = null; // Read-only Ethers.js contract instance (initialized by ensureNetworkClientsInitialized).
-let ipfs = null; // IPFS HTTP client instance (initialized by ensureNetworkClientsInitialized).
+let ipfs = null; // IPFS HTTP client instance (initialized by ensureIpfsClientInitialized).
 
 let networkClientsInitialized = false; // Flag to track if clients have been initialized for the current session.
 
@@ -116,17 +141,21 @@ function saveNetworkConfig(config) {
  * It also handles loading the contract ABI and performs basic connectivity checks.
  * The process will exit if essential configuration (RPC, Contract Address, IPFS URL) cannot be determined
  * or if connections fail.
+ * @param {object} [options={}] - Options.
+ * @param {boolean} [options.quiet=false] - If true, the informational lines about the configuration in use are not
+ * printed (errors still are). Used by commands with machine-readable output such as `--json`.
  * @throws Will exit the process (process.exit(1)) if critical configuration is missing or connections fail.
  */
-async function ensureNetworkClientsInitialized() {
+async function ensureNetworkClientsInitialized(options = {}) {
     // Avoid redundant initialization within the same execution context.
     if (networkClientsInitialized) return;
+    const logInfo = options.quiet ? () => {} : console.log;
 
     // Load the contract ABI only once. Needed for creating contract instances.
     if (!registryAbi) {
         try {
              // Assumes ABI file is located relative to this script.
-            registryAbi = require('./abi/LibraryRegistry.json').abi;
+            registryAbi = [...require('./abi/LibraryRegistry.json').abi, ...REGISTRY_EXTENSION_ABI];
         } catch (abiError) {
             console.error(chalk.red(`Critical Error: Failed to load LibraryRegistry ABI from ./abi/LibraryRegistry.json. Ensure the file exists and is valid.`));
             console.error(chalk.red(`ABI Load Error: ${abiError.message}`));
@@ -177,19 +206,14 @@ async function ensureNetworkClientsInitialized() {
         process.exit(1); // Exit if no network is configured.
     }
 
-    // Determine IPFS API URL (Priority: .env > Default)
-    const envIpfsApiUrl = process.env.IPFS_API_URL;
-    const ipfsApiUrlToUse = envIpfsApiUrl || DEFAULT_IPFS_API_URL;
-    const ipfsSource = envIpfsApiUrl ? 'cli/.env' : 'default';
-
     // Final validation: Ensure we have all necessary URLs/addresses before proceeding.
-    if (!rpcToUse || !contractAddrToUse || !ipfsApiUrlToUse) {
-        console.error(chalk.red('Critical Error: Could not determine valid RPC_URL, CONTRACT_ADDRESS, or IPFS_API_URL.'));
+    if (!rpcToUse || !contractAddrToUse) {
+        console.error(chalk.red('Critical Error: Could not determine valid RPC_URL or CONTRACT_ADDRESS.'));
         console.error(chalk.yellow('Please configure network settings using "tpkm config add" or ensure values are set in cli/.env.'));
         process.exit(1);
     }
 
-    console.log(chalk.blue(`Using configuration from: ${sourceOfConfig}`));
+    logInfo(chalk.blue(`Using configuration from: ${sourceOfConfig}`));
 
     // Initialize Ethers.js provider and read-only contract instance.
     try {
@@ -210,13 +234,41 @@ async function ensureNetworkClientsInitialized() {
     currentActiveRpcUrl = rpcToUse;
 
     // Initialize IPFS client and test connection.
+    await ensureIpfsClientInitialized(options);
+
+    // Log the final effective settings being used.
+    logInfo(chalk.blue(`Effective RPC URL: ${currentActiveRpcUrl}`));
+    logInfo(chalk.blue(`Effective Contract Address: ${currentActiveContractAddress}`));
+
+    networkClientsInitialized = true; // Mark initialization as complete.
+}
+
+
+/**
+ * Ensures that the IPFS client is initialized, without reading the blockchain network configuration.
+ * The API URL comes from `IPFS_API_URL` in `cli/.env`, or the default local node.
+ * Called by `ensureNetworkClientsInitialized`, and on its own by commands that only need IPFS (e.g., `tpkm pack`).
+ * @param {object} [options={}] - Options.
+ * @param {boolean} [options.quiet=false] - If true, the connection line is not printed (errors still are).
+ * @throws Will exit the process (process.exit(1)) if the IPFS API cannot be reached.
+ */
+async function ensureIpfsClientInitialized(options = {}) {
+    if (ipfs) return;
+    const logInfo = options.quiet ? () => {} : console.log;
+
+    // Determine IPFS API URL (Priority: .env > Default)
+    const envIpfsApiUrl = process.env.IPFS_API_URL;
+    const ipfsApiUrlToUse = envIpfsApiUrl || DEFAULT_IPFS_API_URL;
+    const ipfsSource = envIpfsApiUrl ? 'cli/.env' : 'default';
+
     try {
         // Dynamically require ipfs-http-client only when needed.
         const { create: createIpfsClient } = require('ipfs-http-client');
-        ipfs = createIpfsClient({ url: ipfsApiUrlToUse });
+        const client = createIpfsClient({ url: ipfsApiUrlToUse });
         // Perform a simple check to ensure the IPFS daemon is reachable.
-        await ipfs.version(); // Throws an error if connection fails.
-        console.log(chalk.cyan(`Connected to IPFS API: ${ipfsApiUrlToUse} (Source: ${ipfsSource})`));
+        await client.version(); // Throws an error if connection fails.
+        ipfs = client;
+        logInfo(chalk.cyan(`Connected to IPFS API: ${ipfsApiUrlToUse} (Source: ${ipfsSource})`));
     } catch(ipfsError) {
         console.error(chalk.red(`Failed to connect to IPFS API at ${ipfsApiUrlToUse}.`));
         console.error(chalk.yellow(`Please ensure your IPFS daemon is running and the API server is enabled/accessible.`));
@@ -224,15 +276,8 @@ async function ensureNetworkClientsInitialized() {
         // Most TPKM operations require IPFS, so exit.
         process.exit(1);
     }
-
-    // Log the final effective settings being used.
-    console.log(chalk.blue(`Effective RPC URL: ${currentActiveRpcUrl}`));
-    console.log(chalk.blue(`Effective Contract Address: ${currentActiveContractAddress}`));
-
-    networkClientsInitialized = true; // Mark initialization as complete.
 }
 
-
 // --- Wallet Management Helper Functions ---
 
 /**
@@ -365,26 +410,701 @@ async function loadWalletAndConnect(promptForPassword = true) {
 }
 
 
+// --- Project Configuration Helper Functions ---
+
+const PROJECT_CONFIG_FILENAME = 'lib.config.json'; // Library/project manifest file name.
+const INSTALL_DIRNAME = 'tpkm_installed_libs'; // Directory (inside the project) that `tpkm install` installs into.
+const INSTALL_STAGING_PREFIX = '.tpkm-staging-'; // Installs are extracted into `<project>/.tpkm-staging-<pid>` first.
+
+/**
+ * Reads and parses the `lib.config.json` file from a project directory.
+ * @param {string} projectDir - The directory expected to contain `lib.config.json`.
+ * @returns {object|null} The parsed configuration object, or null if the file does not exist.
+ * @throws Will throw an Error if the file exists but cannot be read or parsed.
+ */
+function loadProjectConfig(projectDir) {
+    const configPath = path.join(projectDir, PROJECT_CONFIG_FILENAME);
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (parseError) {
+        throw new Error(`Failed to parse '${PROJECT_CONFIG_FILENAME}': ${parseError.message}`);
+    }
+}
+
+/**
+ * Writes a configuration object back to `lib.config.json` in a project directory.
+ * Uses 2-space indentation, matching the file generated by `tpkm init`.
+ * @param {string} projectDir - The directory containing `lib.config.json`.
+ * @param {object} config - The configuration object to write.
+ */
+function saveProjectConfig(projectDir, config) {
+    const configPath = path.join(projectDir, PROJECT_CONFIG_FILENAME);
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Converts the `dependencies` object of a `lib.config.json` into the array format used by the
+ * contract and the installer. Invalid entries are skipped with a warning.
+ * @param {object} config - The parsed `lib.config.json` object.
+ * @returns {Array<{name: string, constraint: string}>} The declared dependencies.
+ */
+function getConfigDependencies(config) {
+    const dependencies = [];
+    if (!config || !config.dependencies || typeof config.dependencies !== 'object') {
+        return dependencies;
+    }
+    for (const [name, constraint] of Object.entries(config.dependencies)) {
+        if (!constraint || typeof constraint !== 'string') {
+            console.warn(chalk.yellow(`Warning: Invalid or missing version constraint for dependency "${name}" in ${PROJECT_CONFIG_FILENAME}. Skipping.`));
+            continue; // Skip dependencies with invalid constraints.
+        }
+        // Validate constraint format loosely; the contract stores it as a plain string.
+        if (!semver.validRange(constraint)) {
+            console.warn(chalk.yellow(`Warning: Potentially invalid version constraint "${constraint}" for dependency "${name}". Proceeding, but check format.`));
+        }
+        dependencies.push({ name, constraint });
+    }
+    return dependencies;
+}
+
+
+// --- Lifecycle Script Helper Functions ---
+
+/**
+ * Reads a lifecycle script ("prepublish", "postinstall" or "test") from the "scripts" field of a `lib.config.json`.
+ * @param {object|null} config - The parsed `lib.config.json`.
+ * @param {string} scriptName - The script to read.
+ * @returns {string|null} The command, or null if the script is not defined.
+ * @throws Will throw an Error if "scripts" is not an object or the script is not a non-empty string.
+ */
+function getLifecycleScript(config, scriptName) {
+    if (!config || config.scripts === undefined) {
+        return null;
+    }
+    if (!config.scripts || typeof config.scripts !== 'object' || Array.isArray(config.scripts)) {
+        throw new Error(`Invalid "scripts" field in ${PROJECT_CONFIG_FILENAME}: expected an object mapping script names to commands.`);
+    }
+    const command = config.scripts[scriptName];
+    if (command === undefined) {
+        return null;
+    }
+    if (typeof command !== 'string' || !command.trim()) {
+        throw new Error(`Invalid "scripts.${scriptName}" in ${PROJECT_CONFIG_FILENAME}: expected a command string.`);
+    }
+    return command;
+}
+
+/**
+ * Parses the `--allow-scripts` option ("lib-a,lib-b") into the set of dependencies whose scripts may run.
+ * @param {string|undefined} value - The option value.
+ * @returns {Set<string>} The allowed library names (empty if the option was not given).
+ */
+function parseAllowedScripts(value) {
+    if (!value) {
+        return new Set();
+    }
+    return new Set(String(value).split(',').map(name => name.trim()).filter(Boolean));
+}
+
+/**
+ * Lists the library's own lifecycle scripts that `publish` or `pack` runs, in the given order.
+ * @param {{config: object, libraryName: string, versionString: string}} manifest - See `readPackageManifest`.
+ * @param {string} dirPath - The library directory, where the scripts run.
+ * @param {string[]} scriptNames - The scripts to look up (e.g., ['prepublish', 'test']).
+ * @returns {Array<object>} The defined scripts, ready for `printLifecycleScriptPlan` and `runLifecycleScript`.
+ * @throws Will throw an Error if the "scripts" field is invalid.
+ */
+function getPackageScripts(manifest, dirPath, scriptNames) {
+    const { config, libraryName, versionString } = manifest;
+    return scriptNames
+        .map(scriptName => ({ scriptName, command: getLifecycleScript(config, scriptName) }))
+        .filter(script => script.command)
+        .map(script => ({ ...script, cwd: dirPath, label: `${libraryName}@${versionString}`, name: libraryName, version: versionString, allowed: true }));
+}
+
+/**
+ * Prints the lifecycle scripts a command is about to run or skip, before any of them runs.
+ * @param {Array<{label: string, scriptName: string, command: string, allowed: boolean}>} scripts - The scripts.
+ */
+function printLifecycleScriptPlan(scripts) {
+    console.log(chalk.blue('\nLifecycle scripts:'));
+    const table = new Table({ head: [chalk.cyan('Library'), chalk.cyan('Script'), chalk.cyan('Command'), chalk.cyan('Status')] });
+    scripts.forEach(script => {
+        table.push([script.label, script.scriptName, script.command, script.allowed ? chalk.green('will run') : chalk.yellow('skipped')]);
+    });
+    console.log(table.toString());
+}
+
+/**
+ * Runs a lifecycle script through the system shell, in the library's directory, with its output passed through.
+ * The script sees `TPKM_PACKAGE_NAME`, `TPKM_PACKAGE_VERSION` and `TPKM_LIFECYCLE_EVENT` in its environment.
+ * @param {object} script - The script to run.
+ * @param {string} script.scriptName - "prepublish", "postinstall" or "test".
+ * @param {string} script.command - The shell command.
+ * @param {string} script.cwd - The library (or project) directory.
+ * @param {string} script.label - "name@version", for output.
+ * @param {string} script.name - The library name.
+ * @param {string} script.version - The library version.
+ * @returns {Promise<void>}
+ * @throws Will throw an Error if the script cannot be started or exits with a non-zero code.
+ */
+function runLifecycleScript({ scriptName, command, cwd, label, name, version }) {
+    console.log(chalk.cyan(`\n> ${label} ${scriptName}`));
+    console.log(chalk.cyan(`> ${command}\n`));
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            cwd,
+            shell: true,
+            stdio: 'inherit',
+            env: { ...process.env, TPKM_PACKAGE_NAME: name || '', TPKM_PACKAGE_VERSION: version || '', TPKM_LIFECYCLE_EVENT: scriptName },
+        });
+        child.on('error', (error) => reject(new Error(`The ${scriptName} script of ${label} could not be started: ${error.message}`)));
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`The ${scriptName} script of ${label} failed (${signal ? `signal ${signal}` : `exit code ${code}`}).`));
+            }
+        });
+    });
+}
+
+/**
+ * Runs the `postinstall` scripts of freshly installed libraries, dependencies before their dependents, followed by
+ * the project's own `postinstall`. Scripts of dependencies only run if the library is named in `allowedScripts`;
+ * the others are listed as skipped. Every script is shown before the first one runs. Stops at the first failure.
+ * @param {Map<string, object>} libraries - The installed graph's libraries (see `processInstallation`).
+ * @param {string} installRoot - The root directory where the libraries are installed.
+ * @param {Set<string>} allowedScripts - Libraries whose scripts may run (see `parseAllowedScripts`).
+ * @param {{dir: string, config: object}|null} [project=null] - The project whose own `postinstall` runs last, if any.
+ * @returns {Promise<boolean>} False if a script failed.
+ */
+async function runPostinstallScripts(libraries, installRoot, allowedScripts, project = null) {
+    // Dependencies first, so a library's setup can rely on its dependencies being set up already.
+    const ordered = [];
+    const visited = new Set();
+    const visit = (key) => {
+        const node = libraries.get(key);
+        if (!node || visited.has(key)) return;
+        visited.add(key);
+        Object.entries(node.resolvedDependencies || {}).forEach(([name, version]) => visit(`${name}@${version}`));
+        ordered.push(node);
+    };
+    [...libraries.keys()].forEach(visit);
+
+    const scripts = [];
+    for (const node of ordered) {
+        const libraryDir = path.join(installRoot, node.name, node.version);
+        const label = `${node.name}@${node.version}`;
+        let command;
+        try {
+            command = getLifecycleScript(loadProjectConfig(libraryDir), 'postinstall');
+        } catch (configError) {
+            console.warn(chalk.yellow(`Warning: Ignoring the scripts of ${label}: ${configError.message}`));
+            continue;
+        }
+        if (command) {
+            scripts.push({ scriptName: 'postinstall', command, cwd: libraryDir, label, name: node.name, version: node.version,
+                           allowed: allowedScripts.has(node.name) });
+        }
+    }
+    const projectCommand = project ? getLifecycleScript(project.config, 'postinstall') : null;
+    if (projectCommand) {
+        scripts.push({ scriptName: 'postinstall', command: projectCommand, cwd: project.dir, label: `${project.config.name || path.basename(project.dir)} (this project)`,
+                       name: project.config.name, version: project.config.version, allowed: true });
+    }
+    if (scripts.length === 0) {
+        return true;
+    }
+
+    printLifecycleScriptPlan(scripts);
+    const skippedNames = [...new Set(scripts.filter(script => !script.allowed).map(script => script.name))];
+    if (skippedNames.length > 0) {
+        console.log(chalk.yellow(`Scripts of dependencies do not run by default. Review the commands above, then reinstall with ` +
+                                 `--allow-scripts=${skippedNames.join(',')} to run them.`));
+    }
+    for (const script of scripts.filter(entry => entry.allowed)) {
+        try {
+            await runLifecycleScript(script);
+        } catch (scriptError) {
+            console.error(chalk.red(scriptError.message));
+            return false;
+        }
+    }
+    return true;
+}
+
+
+// --- Lockfile Helper Functions ---
+
+const LOCKFILE_FILENAME = 'tpkm-lock.json'; // Lockfile written next to lib.config.json by `tpkm install`.
+const LOCKFILE_VERSION = 1; // Bump when the lockfile structure changes incompatibly.
+
+/**
+ * Reads the `tpkm-lock.json` lockfile from a project directory.
+ * Lockfile structure:
+ * {
+ *   lockfileVersion: number,
+ *   registry: { network: string, contractAddress: string },
+ *   layout: 'flat' | 'nested',                 // Install layout the graph was resolved for.
+ *   includePrerelease?: true,                  // Ranges were resolved with pre-release versions included.
+ *   dependencies: { [name: string]: string },  // Top-level constraints that were installed.
+ *   libraries: { ["name@version"]: { name, version, ipfsHash, integrity, publisher, timestamp, deprecated,
+ *                                   deprecationMessage?, dependencies: { [name]: constraint }, resolved: { [name]: version } } }
+ * }
+ * @param {string} projectDir - The directory expected to contain the lockfile.
+ * @returns {object|null} The parsed lockfile, or null if no lockfile exists.
+ * @throws Will throw an Error if the lockfile cannot be parsed or has an unsupported version.
+ */
+function loadLockfile(projectDir) {
+    const lockfilePath = path.join(projectDir, LOCKFILE_FILENAME);
+    if (!fs.existsSync(lockfilePath)) {
+        return null;
+    }
+    let lockfile;
+    try {
+        lockfile = JSON.parse(fs.readFileSync(lockfilePath, 'utf8'));
+    } catch (parseError) {
+        throw new Error(`Failed to parse '${LOCKFILE_FILENAME}': ${parseError.message}`);
+    }
+    if (lockfile.lockfileVersion !== LOCKFILE_VERSION) {
+        throw new Error(`Unsupported '${LOCKFILE_FILENAME}' version ${lockfile.lockfileVersion} (expected ${LOCKFILE_VERSION}). Delete it and run "tpkm install" to regenerate.`);
+    }
+    lockfile.layout = lockfile.layout || 'flat';
+    lockfile.dependencies = lockfile.dependencies || {};
+    lockfile.libraries = lockfile.libraries || {};
+    return lockfile;
+}
+
+/**
+ * Writes a lockfile object to `tpkm-lock.json` in a project directory.
+ * Keys are sorted so the file diffs cleanly between installs.
+ * @param {string} projectDir - The project directory.
+ * @param {object} lockfile - The lockfile object (see `loadLockfile` for the structure).
+ */
+function saveLockfile(projectDir, lockfile) {
+    const sortKeys = (obj) => Object.fromEntries(Object.keys(obj).sort().map(key => [key, obj[key]]));
+    const output = {
+        lockfileVersion: LOCKFILE_VERSION,
+        registry: lockfile.registry,
+        layout: lockfile.layout || 'flat',
+        ...(lockfile.includePrerelease ? { includePrerelease: true } : {}),
+        dependencies: sortKeys(lockfile.dependencies || {}),
+        libraries: sortKeys(lockfile.libraries || {}),
+    };
+    fs.writeFileSync(path.join(projectDir, LOCKFILE_FILENAME), JSON.stringify(output, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Finds the locked entry for a library whose version satisfies a constraint.
+ * Pre-release versions match ranges if the lockfile was resolved with pre-releases included.
+ * @param {object|null} lockfile - The loaded lockfile (may be null).
+ * @param {string} libraryName - The library to look up.
+ * @param {string} constraint - The semantic version constraint that the locked version must satisfy.
+ * @returns {object|null} The matching lockfile entry, or null if none is locked or none satisfies the constraint.
+ */
+function findLockedLibrary(lockfile, libraryName, constraint) {
+    if (!lockfile) return null;
+    const semverOptions = { includePrerelease: !!lockfile.includePrerelease };
+    const candidates = Object.values(lockfile.libraries)
+        .filter(entry => entry.name === libraryName && semver.satisfies(entry.version, constraint, semverOptions));
+    // Prefer the highest locked version if (unusually) several satisfy the constraint.
+    candidates.sort((a, b) => semver.rcompare(a.version, b.version));
+    return candidates[0] || null;
+}
+
+/**
+ * Collects the top-level dependencies of a project: those declared in `lib.config.json` plus those
+ * installed without --save, which only the lockfile records. Declared constraints take precedence.
+ * @param {object|null} projectConfig - The parsed `lib.config.json` (may be null).
+ * @param {object|null} lockfile - The loaded lockfile (may be null).
+ * @returns {Array<{name: string, constraint: string}>} The top-level dependencies, sorted by name.
+ */
+function getProjectRootDependencies(projectConfig, lockfile) {
+    const constraints = { ...(lockfile ? lockfile.dependencies : {}) };
+    getConfigDependencies(projectConfig).forEach(dep => { constraints[dep.name] = dep.constraint; });
+    return Object.keys(constraints).sort().map(name => ({ name, constraint: constraints[name] }));
+}
+
+/**
+ * Walks the locked dependency graph from a set of top-level dependencies, following the `resolved`
+ * edges recorded for every library.
+ * @param {object} lockfile - The loaded lockfile.
+ * @param {Array<{name: string, constraint: string}>} rootDependencies - The top-level dependencies to start from.
+ * @returns {Set<string>} The "name@version" keys of every locked library reachable from the roots.
+ */
+function findReachableLockEntries(lockfile, rootDependencies) {
+    const reachable = new Set();
+    const queue = rootDependencies
+        .map(dep => findLockedLibrary(lockfile, dep.name, dep.constraint))
+        .filter(Boolean)
+        .map(entry => `${entry.name}@${entry.version}`);
+    while (queue.length > 0) {
+        const key = queue.shift();
+        if (reachable.has(key) || !lockfile.libraries[key]) continue;
+        reachable.add(key);
+        for (const [name, version] of Object.entries(lockfile.libraries[key].resolved || {})) {
+            queue.push(`${name}@${version}`);
+        }
+    }
+    return reachable;
+}
+
+
+// --- Archive Cache Helper Functions ---
+
+/**
+ * Returns the paths of the cached archive and its metadata file for a CID.
+ * Cache layout: `<cid>.tar.gz` holds the archive bytes, `<cid>.json` records
+ * { cid, integrity, size, cachedAt, libraries: ["name@version", ...] }.
+ * @param {string} cid - The IPFS CID of the archive.
+ * @returns {{archivePath: string, metadataPath: string}} The absolute paths inside `~/.tacopkm/cache`.
+ * @throws Will throw an Error if the CID contains characters that are not safe in a file name.
+ */
+function getCachePaths(cid) {
+    if (!/^[A-Za-z0-9]+$/.test(cid)) {
+        throw new Error(`Refusing to use "${cid}" as a cache key: not a valid CID.`);
+    }
+    return {
+        archivePath: path.join(archiveCacheDir, `${cid}.tar.gz`),
+        metadataPath: path.join(archiveCacheDir, `${cid}.json`),
+    };
+}
+
+/**
+ * Looks up a cached archive by CID.
+ * @param {string} cid - The IPFS CID of the archive.
+ * @returns {object|null} The cache metadata with an added `archivePath`, or null if the CID is not cached
+ * (or its metadata is missing or unreadable).
+ */
+function readCacheEntry(cid) {
+    const { archivePath, metadataPath } = getCachePaths(cid);
+    try {
+        if (!fs.existsSync(archivePath) || !fs.existsSync(metadataPath)) return null;
+        return { ...fs.readJsonSync(metadataPath), archivePath };
+    } catch (error) {
+        return null; // A broken entry is treated as a cache miss and overwritten by the next download.
+    }
+}
+
+/**
+ * Moves a verified archive into the cache and records its metadata. If the CID is already cached,
+ * the library label is added to the entry's list of libraries.
+ * @param {string} cid - The IPFS CID of the archive.
+ * @param {string} sourcePath - Path of the verified archive (moved, not copied).
+ * @param {string} integrity - The "sha256-<base64>" digest of the archive.
+ * @param {string} libraryLabel - The library that uses this archive (e.g., "my-lib@1.0.0").
+ * @returns {string} The path of the cached archive.
+ */
+function addToCache(cid, sourcePath, integrity, libraryLabel) {
+    const { archivePath } = getCachePaths(cid);
+    fs.ensureDirSync(archiveCacheDir);
+    fs.moveSync(sourcePath, archivePath, { overwrite: true });
+    recordCacheUse(cid, integrity, libraryLabel);
+    return archivePath;
+}
+
+/**
+ * Writes (or updates) the metadata file of a cached archive.
+ * @param {string} cid - The IPFS CID of the archive.
+ * @param {string} integrity - The "sha256-<base64>" digest of the archive.
+ * @param {string} libraryLabel - The library that uses this archive (e.g., "my-lib@1.0.0").
+ */
+function recordCacheUse(cid, integrity, libraryLabel) {
+    const { archivePath, metadataPath } = getCachePaths(cid);
+    const existing = readCacheEntry(cid);
+    const libraries = new Set(existing && existing.integrity === integrity ? existing.libraries : []);
+    libraries.add(libraryLabel);
+    const metadata = {
+        cid,
+        integrity,
+        size: fs.statSync(archivePath).size,
+        cachedAt: existing && existing.integrity === integrity ? existing.cachedAt : new Date().toISOString(),
+        libraries: [...libraries].sort(),
+    };
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Lists the CIDs present in the cache, including archives whose metadata file is missing.
+ * @returns {string[]} The cached CIDs, sorted.
+ */
+function listCachedCids() {
+    if (!fs.existsSync(archiveCacheDir)) return [];
+    const cids = new Set();
+    for (const fileName of fs.readdirSync(archiveCacheDir)) {
+        const match = fileName.match(/^([A-Za-z0-9]+)\.(tar\.gz|json)$/);
+        if (match) cids.add(match[1]);
+    }
+    return [...cids].sort();
+}
+
+/**
+ * Removes a cached archive and its metadata.
+ * @param {string} cid - The IPFS CID of the archive.
+ */
+function removeCacheEntry(cid) {
+    const { archivePath, metadataPath } = getCachePaths(cid);
+    fs.removeSync(archivePath);
+    fs.removeSync(metadataPath);
+}
+
+/**
+ * Formats a byte count for display (e.g., "1.4 MB").
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The human-readable size.
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+// --- Package Contents Helper Functions ---
+
+const DEFAULT_MAX_PACKAGE_SIZE = 512 * 1024 * 1024; // Largest archive `publish` uploads unless configured otherwise.
+const PACKAGE_IGNORE_FILENAME = '.tpkmignore'; // gitignore-style exclude rules, read from the root of a library directory.
+// Never published, whatever `.tpkmignore` or "files" say: VCS metadata, installed dependencies,
+// local secrets and build caches. Patterns without a slash match at any depth.
+const BUILTIN_PACKAGE_EXCLUDES = [
+    '.git', '.hg', '.svn',
+    'node_modules', INSTALL_DIRNAME, LOCKFILE_FILENAME,
+    '.env', '.env.*', '!.env.example', '.npmrc', '*.pem', '*.key', 'id_rsa*', 'keystore.json',
+    '.cache', '.parcel-cache', '.turbo', '.eslintcache', '*.tsbuildinfo', '__pycache__', '.pytest_cache',
+    '.DS_Store', 'Thumbs.db', '*.log', '*.swp',
+    `${INSTALL_STAGING_PREFIX}*`, PACKAGE_IGNORE_FILENAME,
+];
+
+/**
+ * Lists the files of a library directory that belong in its published archive.
+ * Built-in excludes always apply, followed by the rules in `.tpkmignore`. If `lib.config.json` has a
+ * "files" array, only paths matching one of its patterns (or inside a matching directory) are kept.
+ * `lib.config.json` itself is always included. Entries that are neither regular files nor directories
+ * (symbolic links, sockets, ...) are never archived and are reported separately.
+ * @param {string} sourceDir - The library directory.
+ * @param {object|null} config - The parsed `lib.config.json` of the directory.
+ * @returns {{files: Array<{path: string, size: number, executable: boolean}>, skipped: string[]}} Files to archive
+ *   (relative paths with forward slashes, sorted) and the paths of skipped special entries.
+ * @throws Will throw an Error if the "files" field is not an array of non-empty strings.
+ */
+function collectPackageFiles(sourceDir, config) {
+    const builtinRules = ignore().add(BUILTIN_PACKAGE_EXCLUDES);
+    const ignoreRules = ignore();
+    const ignoreFilePath = path.join(sourceDir, PACKAGE_IGNORE_FILENAME);
+    if (fs.existsSync(ignoreFilePath)) {
+        ignoreRules.add(fs.readFileSync(ignoreFilePath, 'utf8'));
+    }
+
+    let whitelist = null;
+    if (config && config.files !== undefined) {
+        if (!Array.isArray(config.files) || config.files.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+            throw new Error(`Invalid "files" field in ${PROJECT_CONFIG_FILENAME}: expected an array of path patterns.`);
+        }
+        whitelist = ignore().add(config.files);
+    }
+
+    const files = [];
+    const skipped = [];
+    const isExcluded = (relativePath) => builtinRules.ignores(relativePath) || ignoreRules.ignores(relativePath);
+    const walk = (relativeDir) => {
+        const entries = fs.readdirSync(path.join(sourceDir, relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                // The trailing slash lets directory-only patterns ("build/") match.
+                if (!isExcluded(`${relativePath}/`)) {
+                    walk(relativePath);
+                }
+            } else if (entry.isFile()) {
+                const isManifest = relativePath === PROJECT_CONFIG_FILENAME;
+                if (!isManifest && (isExcluded(relativePath) || (whitelist && !whitelist.ignores(relativePath)))) {
+                    continue;
+                }
+                const stats = fs.statSync(path.join(sourceDir, relativePath));
+                // Only the owner's execute bit survives into the archive (see `archiveDirectory`).
+                files.push({ path: relativePath, size: stats.size, executable: (stats.mode & 0o100) !== 0 });
+            } else if (!isExcluded(relativePath)) {
+                skipped.push(relativePath);
+            }
+        }
+    };
+    walk('');
+
+    // Plain code-unit order, so the listing does not depend on the locale.
+    files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    return { files, skipped };
+}
+
+/**
+ * Prints the files going into a package archive with their sizes, followed by a total.
+ * @param {Array<{path: string, size: number}>} files - The files, as returned by `collectPackageFiles`.
+ */
+function printPackageFileList(files) {
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    console.log(chalk.blue(`Package contents (${files.length} file(s), ${formatBytes(totalBytes)}):`));
+    for (const file of files) {
+        console.log(`  ${chalk.gray(formatBytes(file.size).padStart(9))}  ${file.path}`);
+    }
+}
+
+
+/**
+ * Parses a size such as "500MB", "2 GB" or "1048576" (bytes). Units are binary (1 KB = 1024 bytes).
+ * @param {string|number} value - The size to parse.
+ * @returns {number|null} The size in bytes, or null if the value is not a valid positive size.
+ */
+function parseByteSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?\s*$/i.exec(String(value));
+    if (!match) {
+        return null;
+    }
+    const exponent = ['b', 'kb', 'mb', 'gb', 'tb'].indexOf((match[2] || 'b').toLowerCase());
+    const bytes = Math.floor(parseFloat(match[1]) * Math.pow(1024, exponent));
+    return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Determines the largest package archive that may be published.
+ * Priority: the `--max-package-size` option > the `TPKM_MAX_PACKAGE_SIZE` environment variable > the default.
+ * @param {object} options - Parsed command options.
+ * @returns {number} The limit in bytes.
+ * @throws Will throw an Error if the configured value is not a valid size.
+ */
+function getMaxPackageSize(options) {
+    const configured = options.maxPackageSize !== undefined ? options.maxPackageSize : process.env.TPKM_MAX_PACKAGE_SIZE;
+    if (configured === undefined || configured === '') {
+        return DEFAULT_MAX_PACKAGE_SIZE;
+    }
+    const limit = parseByteSize(configured);
+    if (!limit) {
+        throw new Error(`Invalid maximum package size "${configured}". Use a number of bytes or a size such as 200MB or 2GB.`);
+    }
+    return limit;
+}
+
+/**
+ * Describes why a package archive is too large to publish, if it is.
+ * @param {number} archiveSize - Size of the .tar.gz archive in bytes.
+ * @param {number} limit - The maximum package size in bytes (see `getMaxPackageSize`).
+ * @returns {string|null} The explanation, or null if the archive is within the limit.
+ */
+function getPackageSizeViolation(archiveSize, limit) {
+    if (archiveSize <= limit) {
+        return null;
+    }
+    return `The package archive is ${formatBytes(archiveSize)}, which exceeds the maximum package size of ${formatBytes(limit)}. ` +
+        `Exclude files with ${PACKAGE_IGNORE_FILENAME} or the "files" field, or raise the limit with --max-package-size or TPKM_MAX_PACKAGE_SIZE.`;
+}
+
+/**
+ * Reads and validates the `lib.config.json` of a library directory before packing or publishing it.
+ * @param {string} dirPath - The absolute path of the library directory.
+ * @param {string} [versionOverride] - A version that replaces the one in `lib.config.json` (the `--version` option).
+ * @returns {{config: object, libraryName: string, versionString: string, dependencies: Array<{name: string, constraint: string}>}}
+ *   The parsed configuration, the library name and version to publish, and the declared dependencies.
+ * @throws Will throw an Error if the directory or configuration file is missing, or if the name or version is invalid.
+ */
+function readPackageManifest(dirPath, versionOverride) {
+    if (!fs.existsSync(dirPath) || !fs.lstatSync(dirPath).isDirectory()) {
+        throw new Error(`Directory not found or is not a valid directory: ${dirPath}`);
+    }
+    const config = loadProjectConfig(dirPath);
+    if (!config) {
+        throw new Error(`Configuration file '${PROJECT_CONFIG_FILENAME}' not found in ${dirPath}. Use 'tpkm init' to create one.`);
+    }
+
+    const libraryName = config.name;
+    // The command-line override wins over the version in the config.
+    const versionString = versionOverride || config.version;
+    if (!libraryName || typeof libraryName !== 'string') {
+        throw new Error(`Missing or invalid "name" field in ${PROJECT_CONFIG_FILENAME}.`);
+    }
+    if (!versionString) {
+        // This happens if version is missing in both config and CLI option.
+        throw new Error(`Library version is missing. Specify it in ${PROJECT_CONFIG_FILENAME} or use the --version option.`);
+    }
+    if (!semver.valid(versionString)) {
+        throw new Error(`Invalid version format in config or option: "${versionString}". Use semantic versioning (e.g., 1.0.0).`);
+    }
+    return { config, libraryName, versionString, dependencies: getConfigDependencies(config) };
+}
+
+/**
+ * Selects the publishable files of a library directory, prints them and writes them into a .tar.gz archive.
+ * Shared by `tpkm publish` and `tpkm pack`, so both produce the same archive for the same directory.
+ * @param {string} dirPath - The library directory.
+ * @param {object} config - The parsed `lib.config.json` of the directory.
+ * @param {string} outputFilePath - Where to write the archive.
+ * @returns {Promise<{files: Array<{path: string, size: number}>, integrity: string, size: number}>} The archived
+ *   files, the "sha256-<base64>" digest of the archive and its size in bytes.
+ */
+async function createPackageArchive(dirPath, config, outputFilePath) {
+    // Built-in excludes, .tpkmignore and the "files" field decide what goes into the archive.
+    const { files, skipped } = collectPackageFiles(dirPath, config);
+    if (skipped.length > 0) {
+        console.warn(chalk.yellow(`Warning: Skipping ${skipped.length} entry(ies) that are not regular files (e.g., symbolic links): ${skipped.join(', ')}`));
+    }
+    printPackageFileList(files);
+
+    const archiveSpinner = ora({ text: `Archiving ${files.length} file(s) from ${dirPath}...`, color: 'yellow' }).start();
+    try {
+        await archiveDirectory(dirPath, outputFilePath, files);
+        const integrity = await computeFileIntegrity(outputFilePath);
+        archiveSpinner.succeed(chalk.gray(`Archive written to: ${outputFilePath}`));
+        return { files, integrity, size: fs.statSync(outputFilePath).size };
+    } catch (archiveError) {
+        archiveSpinner.fail(chalk.red('Archiving failed.'));
+        throw archiveError;
+    }
+}
+
+
 // --- Archiving and IPFS Helper Functions ---
 
+// Archives are reproducible: the same files always produce the same bytes, and therefore the same CID.
+const ARCHIVE_ENTRY_DATE = new Date('2000-01-01T00:00:00.000Z'); // Modification time recorded for every entry.
+const ARCHIVE_FILE_MODE = 0o644; // Entry mode for regular files.
+const ARCHIVE_EXECUTABLE_MODE = 0o755; // Entry mode for files the owner can execute.
+const GZIP_OS_UNKNOWN = 0xff; // RFC 1952 "unknown" operating system; zlib would record the build platform.
+
 /**
- * Archives the contents of a specified directory into a gzipped tarball (.tar.gz).
+ * Archives the given files of a directory into a gzipped tarball (.tar.gz) deterministically.
+ * Entries are written in the order given, with a fixed modification time, owner 0:0 and a mode that only
+ * keeps the executable bit, and the gzip header is normalized, so rebuilding a release from the same
+ * sources yields an identical archive.
  * @param {string} sourceDir - The absolute or relative path to the directory to archive.
  * @param {string} outputFilePath - The absolute or relative path where the resulting .tar.gz file should be saved.
+ * @param {Array<{path: string, executable: boolean}>} files - The files to include, relative to `sourceDir`,
+ *   in archive order (see `collectPackageFiles`, which sorts them).
  * @returns {Promise<void>} A promise that resolves when archiving is successfully completed, or rejects on error.
  */
-function archiveDirectory(sourceDir, outputFilePath) {
+function archiveDirectory(sourceDir, outputFilePath, files) {
     return new Promise((resolve, reject) => {
         // Create a writable stream to the target archive file path.
         const output = fs.createWriteStream(outputFilePath);
         // Initialize the archiver in 'tar' mode with gzip compression.
         const archive = archiver('tar', {
             gzip: true,
-            zlib: { level: 9 } // Set compression level (optional, 9 is highest).
+            gzipOptions: { level: 9 }, // Highest compression; also fixes the XFL byte of the gzip header.
+            statConcurrency: 1 // Stat files one at a time, so entries are appended in the given order.
         });
 
         // Event listener for when the output stream is closed (archive is fully written).
         output.on('close', () => {
+            try {
+                normalizeGzipHeader(outputFilePath);
+            } catch (headerError) {
+                reject(headerError);
+                return;
+            }
             console.log(chalk.gray(`Archive created: ${outputFilePath} (${archive.pointer()} total bytes)`));
             resolve(); // Signal success.
         });
@@ -408,41 +1128,75 @@ function archiveDirectory(sourceDir, outputFilePath) {
         // Pipe the archive data to the output file stream.
         archive.pipe(output);
 
-        // Add the source directory's contents to the archive root.
-        // The second argument `false` ensures contents are at the root, not inside a folder named after sourceDir.
-        archive.directory(sourceDir, false);
+        // Add each selected file at its relative path, so contents sit at the archive root.
+        for (const file of files) {
+            archive.file(path.join(sourceDir, file.path), {
+                name: file.path,
+                date: ARCHIVE_ENTRY_DATE,
+                mode: file.executable ? ARCHIVE_EXECUTABLE_MODE : ARCHIVE_FILE_MODE,
+                uid: 0,
+                gid: 0,
+                uname: '',
+                gname: ''
+            });
+        }
 
         // Finalize the archive - no more files can be added. This triggers the 'close' event on the output stream once done.
         archive.finalize();
     });
 }
 
+/**
+ * Rewrites the platform-dependent fields of a gzip header in place: the modification time is set to 0
+ * and the operating system byte to "unknown", so the same archive is byte-identical on every platform.
+ * @param {string} filePath - The path of the .gz file.
+ * @throws Will throw an Error if the file does not start with a gzip header.
+ */
+function normalizeGzipHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r+');
+    try {
+        const header = Buffer.alloc(10);
+        fs.readSync(fd, header, 0, header.length, 0);
+        if (header[0] !== 0x1f || header[1] !== 0x8b) {
+            throw new Error(`Not a gzip file: ${filePath}`);
+        }
+        header.writeUInt32LE(0, 4); // MTIME
+        header[9] = GZIP_OS_UNKNOWN; // OS
+        fs.writeSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
 /**
  * Uploads a file (typically an archive) to the configured IPFS node.
+ * The file is streamed from disk, so its size is not limited by available memory.
  * @param {string} filePath - The path to the local file to upload.
+ * @param {function(number, number): void} [onProgress] - Called as chunks are sent, with the bytes sent so far
+ *   and the total size of the file.
  * @returns {Promise<string>} The IPFS Content Identifier (CID) string of the uploaded file.
  * @throws Will throw an error if the IPFS client is not initialized or the upload fails.
  */
-async function uploadToIpfs(filePath) {
+async function uploadToIpfs(filePath, onProgress) {
     // Ensure IPFS client is ready (should have been called by the command handler).
     if (!ipfs) {
          throw new Error("IPFS client not initialized. Call ensureNetworkClientsInitialized first.");
     }
 
-    let fileContent;
+    let totalBytes;
     try {
-        fileContent = fs.readFileSync(filePath); // Read the entire file into a buffer.
+        totalBytes = fs.statSync(filePath).size;
     } catch (readError) {
         console.error(chalk.red(`Error reading file for IPFS upload: ${filePath}`), readError.message);
         throw readError; // Propagate the error.
     }
 
     try {
-        // Use the initialized ipfs client to add the file content.
-        const result = await ipfs.add(fileContent);
-        const cidString = result.cid.toString();
-        console.log(chalk.gray(`Uploaded to IPFS. CID: ${cidString}`));
-        return cidString; // Return the CID.
+        // Stream the file to the node; `progress` reports the bytes it has received so far.
+        const result = await ipfs.add(fs.createReadStream(filePath), {
+            progress: onProgress ? (bytesSent) => onProgress(bytesSent, totalBytes) : undefined
+        });
+        return result.cid.toString(); // Return the CID.
     } catch (error) {
         console.error(chalk.red('IPFS upload failed:'), error.message);
         // Log more details if helpful, e.g., check IPFS daemon status.
@@ -452,329 +1206,1927 @@ async function uploadToIpfs(filePath) {
 }
 
 /**
- * Downloads a gzipped tarball from IPFS using its CID and extracts its contents to a target directory.
- * Uses streams for efficiency, especially with large files.
- * @param {string} libraryName - Name of the library being downloaded (for logging purposes).
- * @param {string} versionString - Version of the library being downloaded (for logging).
- * @param {string} ipfsHash - The IPFS CID (hash) of the .tar.gz archive to download.
- * @param {string} targetPath - The directory path where the archive contents should be extracted.
- * @returns {Promise<void>} A promise that resolves upon successful download and extraction, or rejects on error.
- * @throws Will throw an error if the IPFS client is not initialized, download fails, or extraction fails.
+ * Formats the progress of a transfer for a spinner, e.g. "12.0 MB / 40.0 MB (30%, 4.1 MB/s)".
+ * @param {number} bytesDone - Bytes transferred so far.
+ * @param {number} totalBytes - Total bytes to transfer.
+ * @param {number} startedAt - When the transfer started (`Date.now()`), used for the throughput.
+ * @returns {string} The progress text.
+ */
+function formatTransferProgress(bytesDone, totalBytes, startedAt) {
+    const percent = totalBytes > 0 ? Math.floor((bytesDone / totalBytes) * 100) : 100;
+    const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    return `${formatBytes(bytesDone)} / ${formatBytes(totalBytes)} (${percent}%, ${formatBytes(bytesDone / elapsedSeconds)}/s)`;
+}
+
+/**
+ * Computes the CID a file would get if it were uploaded to IPFS, without storing or pinning it
+ * (the equivalent of `ipfs add --only-hash`). Streams the file like `uploadToIpfs`, with the same add options.
+ * @param {string} filePath - The path to the local file.
+ * @returns {Promise<string>} The CID string.
+ * @throws Will throw an error if the IPFS client is not initialized or the node rejects the request.
  */
-async function downloadAndExtract(libraryName, versionString, ipfsHash, targetPath) {
-    // Ensure IPFS client is ready.
+async function computeIpfsCid(filePath) {
     if (!ipfs) {
          throw new Error("IPFS client not initialized. Call ensureNetworkClientsInitialized first.");
     }
+    const result = await ipfs.add(fs.createReadStream(filePath), { onlyHash: true });
+    return result.cid.toString();
+}
 
-    const downloadSpinner = ora({
-        text: `Downloading ${libraryName}@${versionString} from IPFS (CID: ${ipfsHash.substring(0, 10)}...)`,
-        color: 'yellow'
-    }).start();
-
-    try {
-        // Ensure the target directory exists, creating intermediate directories if necessary.
-        fs.mkdirSync(targetPath, { recursive: true });
+/**
+ * Computes the Subresource-Integrity style SHA-256 digest ("sha256-<base64>") of a file.
+ * @param {string} filePath - The path to the file to hash.
+ * @returns {Promise<string>} The integrity string.
+ */
+async function computeFileIntegrity(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return `sha256-${hash.digest('base64')}`;
+}
 
-        // Create the necessary streams:
-        // 1. Source: Stream data directly from IPFS using `ipfs.cat(CID)`.
-        const sourceStream = ipfs.cat(ipfsHash);
-        // 2. Decompressor: Stream to handle gzip decompression.
-        const gunzip = zlib.createGunzip();
-        // 3. Extractor: Stream to handle tar extraction into the target directory.
-        const extract = tar.extract(targetPath);
+const MAX_EXTRACTED_BYTES = 4 * 1024 * 1024 * 1024; // Uncompressed size cap per archive, against decompression bombs.
+const MAX_EXTRACTED_ENTRIES = 100000; // Entry count cap per archive.
+const EXTRACTABLE_ENTRY_TYPES = ['file', 'directory', 'symlink', 'link']; // Devices, FIFOs etc. are never extracted.
 
-        // Use stream.pipeline for robust error handling and proper stream cleanup.
-        // It connects source -> gunzip -> extract.
-        await pipeline(sourceStream, gunzip, extract);
-
-        downloadSpinner.succeed(chalk.green(`  -> Extracted ${libraryName}@${versionString} to ${targetPath}`));
-    } catch (error) {
-        downloadSpinner.fail(chalk.red(`  -> Failed to download or extract ${libraryName}@${versionString} from IPFS CID ${ipfsHash}`));
-        console.error(chalk.red(`  -> Error: ${error.message}`));
-        // Check for common IPFS errors like 'dag node not found'.
-        if (error.message && error.message.includes('dag node not found')) {
-             console.error(chalk.yellow(`  -> The content for CID ${ipfsHash} might not be available on the IPFS network or pinned.`));
+/**
+ * Checks a tar entry before it is extracted and explains why it is unsafe, if it is.
+ * Symbolic links are checked lexically here; links that only escape through another link are caught by
+ * `findEscapingSymlinks` once every entry has been seen.
+ * @param {object} header - The tar-stream header of the entry (`name`, `type`, `linkname`, ...).
+ * @param {Set<string>} symlinkPaths - Normalized paths of the symbolic links seen so far in the archive.
+ * @returns {string|null} The reason the entry is rejected, or null if it may be extracted.
+ */
+function getUnsafeEntryReason(header, symlinkPaths) {
+    const name = header.name.replace(/\\/g, '/');
+    if (path.posix.isAbsolute(name) || path.win32.isAbsolute(name)) {
+        return 'absolute path';
+    }
+    const segments = name.split('/').filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) {
+        return 'path traversal ("..")';
+    }
+    if (!EXTRACTABLE_ENTRY_TYPES.includes(header.type)) {
+        return `unsupported entry type "${header.type}" (device files, FIFOs and the like are not allowed)`;
+    }
+    // Writing below a symbolic link could land anywhere the link points to.
+    for (let i = 1; i < segments.length; i++) {
+        if (symlinkPaths.has(segments.slice(0, i).join('/'))) {
+            return `path goes through the symbolic link "${segments.slice(0, i).join('/')}"`;
+        }
+    }
+    if (header.type === 'symlink' || header.type === 'link') {
+        const linkname = (header.linkname || '').replace(/\\/g, '/');
+        if (!linkname || path.posix.isAbsolute(linkname) || path.win32.isAbsolute(linkname)) {
+            return `${header.type === 'link' ? 'hard link' : 'symbolic link'} to an absolute path ("${header.linkname}")`;
+        }
+        // Hard link targets are relative to the archive root, symbolic link targets to the link's directory.
+        const base = header.type === 'link' ? '' : path.posix.dirname(segments.join('/'));
+        const resolved = path.posix.normalize(path.posix.join(base, linkname));
+        if (resolved === '..' || resolved.startsWith('../')) {
+            return `${header.type === 'link' ? 'hard link' : 'symbolic link'} pointing outside the package ("${header.linkname}")`;
         }
-        throw error; // Re-throw to allow the calling function (e.g., install) to handle the failure.
     }
+    return null;
 }
 
 /**
- * Recursively processes the installation of a library and its dependencies.
- * It resolves the appropriate version based on constraints, checks for version conflicts,
- * downloads the library archive from IPFS, extracts it, reads its dependencies,
- * and then recursively calls itself for each sub-dependency.
- * Uses a map to track already resolved packages to prevent infinite loops and redundant downloads.
- *
- * @param {string} targetName - The name of the library to install.
- * @param {string} targetConstraint - The semantic version constraint (e.g., "^1.0.0", "1.2.3", ">=2.0.0 <3.0.0").
- * @param {Map<string, string>} resolvedMap - A Map where keys are library names and values are the exact resolved versions
- * already being installed or previously installed in this run. Used to detect
- * cycles and ensure version consistency.
- * @param {string} installRoot - The root directory where all libraries will be installed (e.g., `tpkm_installed_libs`).
- * Libraries are typically placed in `installRoot/<libraryName>/<versionString>`.
- * @returns {Promise<void>} A promise that resolves when the library and its dependencies (if any) are processed,
- * or rejects if an error occurs (e.g., version conflict, package not found, download failure).
- * @throws Will throw an Error for critical issues like version conflicts, library/version not found in the registry,
- * or IPFS download/extraction failures.
- */
-async function processInstallation(targetName, targetConstraint, resolvedMap, installRoot) {
-    console.log(chalk.blue(`Processing dependency: ${targetName}@${targetConstraint}`));
-
-    // 1. Check if a version of this package is already resolved/installed in this run.
-    if (resolvedMap.has(targetName)) {
-        const installedVersion = resolvedMap.get(targetName);
-        // Check if the already resolved version satisfies the current constraint.
-        if (semver.satisfies(installedVersion, targetConstraint)) {
-            console.log(chalk.gray(`  -> ${targetName}@${installedVersion} already resolved and satisfies ${targetConstraint}. Skipping.`));
-            return; // Requirement met by existing resolved version.
-        } else {
-            // Conflict: Another part of the dependency tree requires a version incompatible with the one already resolved.
-            throw new Error(chalk.red(`Version conflict for "${targetName}": `) +
-                            `Already resolved version ${chalk.yellow(installedVersion)} does not satisfy constraint ${chalk.yellow(targetConstraint)}.` +
-                            ` Check your dependency tree.`);
+ * Finds symbolic links that resolve outside the package by way of other symbolic links in the same archive
+ * (e.g., "a" -> "." and "b" -> "a/.."), which a lexical check of each link alone cannot see.
+ * @param {Map<string, string>} symlinks - Normalized link path -> link target, for every symbolic link extracted.
+ * @returns {string[]} The paths of the escaping links.
+ */
+function findEscapingSymlinks(symlinks) {
+    const escaping = [];
+    for (const [linkPath, linkname] of symlinks) {
+        const resolved = path.posix.dirname(linkPath) === '.' ? [] : path.posix.dirname(linkPath).split('/');
+        const targetSegments = linkname.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+        for (let i = 0; i < targetSegments.length; i++) {
+            const segment = targetSegments[i];
+            if (segment === '..') {
+                if (resolved.length === 0) {
+                    escaping.push(linkPath);
+                    break;
+                }
+                resolved.pop();
+                continue;
+            }
+            resolved.push(segment);
+            // Only the last segment may name another link; anything after a link depends on where it points.
+            if (i < targetSegments.length - 1 && symlinks.has(resolved.join('/'))) {
+                escaping.push(linkPath);
+                break;
+            }
         }
     }
+    return escaping;
+}
 
-    // 2. Fetch available versions for the target library from the smart contract.
-    let availableVersions;
-    const fetchVersionsSpinner = ora({ text: `  -> Fetching available versions for ${targetName}...`, color: 'gray' }).start();
-    try {
-        // Ensure read-only contract client is ready.
-        if (!contractReadOnly) throw new Error("Read-only contract client not initialized.");
-        availableVersions = await contractReadOnly.getVersionNumbers(targetName);
+/**
+ * Extracts a .tar.gz archive into a directory, refusing anything that could escape or damage it:
+ * absolute paths, ".." traversal, links pointing outside the directory, device files and other special
+ * entries. Setuid, setgid and sticky bits are stripped and ownership is never taken from the archive.
+ * Extraction stops once the archive expands beyond `MAX_EXTRACTED_BYTES` or `MAX_EXTRACTED_ENTRIES`.
+ * Unsafe entries are skipped and collected; if there are any, the extraction fails after the archive has
+ * been read, so every rejected entry can be reported at once. The caller is responsible for removing
+ * the partially extracted directory.
+ * @param {string} archivePath - The .tar.gz archive.
+ * @param {string} targetPath - The directory to extract into.
+ * @returns {Promise<void>}
+ * @throws Will throw an Error with `code` 'EUNSAFEARCHIVE' and `rejectedEntries` (Array<{name, reason}>) if unsafe
+ *   entries were found, or with `code` 'EARCHIVELIMIT' if a size or entry limit was exceeded.
+ */
+async function extractArchiveSafely(archivePath, targetPath) {
+    const rejectedEntries = [];
+    const symlinks = new Map(); // Normalized link path -> link target.
+    let extractedBytes = 0;
+    let entryCount = 0;
+    let limitError = null;
+
+    const extractStream = tar.extract(targetPath, {
+        chown: false, // Files belong to the installing user, whatever uid/gid the archive records.
+        map: (header) => {
+            header.mode &= 0o777; // Strip setuid, setgid and sticky bits.
+            return header;
+        },
+        ignore: (name, header) => {
+            if (limitError) return true;
+            entryCount++;
+            extractedBytes += header.size || 0;
+            if (entryCount > MAX_EXTRACTED_ENTRIES || extractedBytes > MAX_EXTRACTED_BYTES) {
+                limitError = new Error(entryCount > MAX_EXTRACTED_ENTRIES
+                    ? `The archive contains more than ${MAX_EXTRACTED_ENTRIES} entries.`
+                    : `The archive expands to more than ${formatBytes(MAX_EXTRACTED_BYTES)}.`);
+                limitError.code = 'EARCHIVELIMIT';
+                extractStream.destroy(limitError);
+                return true;
+            }
+            const reason = getUnsafeEntryReason(header, symlinks);
+            if (reason) {
+                rejectedEntries.push({ name: header.name, reason });
+                return true;
+            }
+            if (header.type === 'symlink') {
+                symlinks.set(path.posix.normalize(header.name.replace(/\\/g, '/')).replace(/\/$/, ''), header.linkname);
+            }
+            return false;
+        },
+    });
 
-        if (!availableVersions || availableVersions.length === 0) {
-             fetchVersionsSpinner.fail();
-            throw new Error(`Library "${targetName}" not found or has no published versions in the registry.`);
-        }
-         fetchVersionsSpinner.succeed(chalk.gray(`  -> Found versions for ${targetName}: [${availableVersions.join(', ')}]`));
+    try {
+        await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), extractStream);
     } catch (error) {
-        fetchVersionsSpinner.fail();
-        // Use getRevertReason for potentially contract-specific errors.
-        throw new Error(`Failed to fetch available versions for "${targetName}": ${getRevertReason(error)}`);
+        if (limitError) {
+            limitError.rejectedEntries = rejectedEntries;
+            throw limitError;
+        }
+        throw error;
     }
 
-    // 3. Determine the best version satisfying the constraint using semantic versioning rules.
-    // `semver.maxSatisfying` finds the highest stable version that matches the constraint.
-    const versionToInstall = semver.maxSatisfying(availableVersions, targetConstraint);
-    if (!versionToInstall) {
-        throw new Error(`No version found for "${targetName}" that satisfies constraint "${targetConstraint}". ` +
-                        `Available versions: ${availableVersions.join(', ')}.`);
+    for (const linkPath of findEscapingSymlinks(symlinks)) {
+        rejectedEntries.push({ name: linkPath, reason: 'symbolic link pointing outside the package through another link' });
     }
-    console.log(chalk.gray(`  -> Resolved ${targetName}@${targetConstraint} to version ${chalk.cyan(versionToInstall)}`));
+    if (rejectedEntries.length > 0) {
+        const unsafeError = new Error(`The archive contains ${rejectedEntries.length} unsafe entry(ies); nothing from it was installed.`);
+        unsafeError.code = 'EUNSAFEARCHIVE';
+        unsafeError.rejectedEntries = rejectedEntries;
+        throw unsafeError;
+    }
+}
 
-    // 4. Mark this package and resolved version in the map BEFORE fetching details or downloading.
-    // This prevents infinite loops in case of circular dependencies.
-    resolvedMap.set(targetName, versionToInstall);
+/**
+ * Downloads a gzipped tarball from IPFS using its CID, verifies its SHA-256 digest and extracts its contents
+ * to a target directory. The local cache (`~/.tacopkm/cache`) is checked first; a cached archive is verified
+ * like a download and, if it does not match, discarded and fetched again. Downloads are streamed into a
+ * temporary file, so nothing is extracted (or cached) until the digest has been checked. Extraction refuses unsafe
+ * entries (see `extractArchiveSafely`); a refused or failed extraction is removed from the target directory.
+ * @param {string} libraryName - Name of the library being downloaded (for logging purposes).
+ * @param {string} versionString - Version of the library being downloaded (for logging).
+ * @param {string} ipfsHash - The IPFS CID (hash) of the .tar.gz archive to download.
+ * @param {string} targetPath - The directory path where the archive contents should be extracted.
+ * @param {string|null} [expectedIntegrity=null] - The expected "sha256-<base64>" digest. Null only for versions
+ * published without a digest (see `installResolvedLibrary`); their archive is extracted unverified and its digest
+ * is only computed.
+ * @param {object} [options={}] - Output options.
+ * @param {boolean} [options.quiet=false] - If true, no spinner or log lines are printed; hints about a failure are
+ * attached to the thrown error as `error.hint` instead. Used when several downloads share one progress display.
+ * @param {boolean} [options.offline=false] - If true, only the local cache is used; IPFS is never contacted.
+ * @param {function(string): void} [options.log] - Prints a line in quiet mode (e.g., the rejected entries of an unsafe
+ * archive, which are reported before the partial extraction is removed).
+ * @returns {Promise<string>} The integrity string of the downloaded archive.
+ * @throws Will throw an error if the archive is not cached and the IPFS client is not initialized (or `offline` is set),
+ * the download fails, the digest does not match, or extraction fails.
+ */
+async function downloadAndExtract(libraryName, versionString, ipfsHash, targetPath, expectedIntegrity = null, options = {}) {
+    const { quiet = false, offline = false } = options;
+    const libraryLabel = `${libraryName}@${versionString}`;
+    // A private directory per download, so parallel installs (even in several processes) never share a temp file.
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-download-'));
+    const tempArchivePath = path.join(tempDir, 'archive.tar.gz');
+
+    // In quiet mode a disabled spinner swallows all output.
+    const downloadSpinner = ora({
+        text: `Looking up ${libraryLabel} in the local cache...`,
+        color: 'yellow',
+        isEnabled: !quiet,
+        isSilent: quiet,
+    }).start();
 
-    // 5. Fetch detailed information (IPFS hash, dependencies) for the chosen version from the contract.
-    let versionData;
-    let ipfsHash;
-    let subDependencies = []; // Initialize as empty array.
-     const fetchInfoSpinner = ora({ text: `  -> Fetching info for ${targetName}@${versionToInstall}...`, color: 'gray' }).start();
     try {
-        if (!contractReadOnly) throw new Error("Read-only contract client not initialized.");
-        // Assumes getVersionInfo returns: [ipfsHash, publisher, timestamp, deprecated, dependencies]
-        // where dependencies is an array of { name: string, constraint: string } structs.
-        versionData = await contractReadOnly.getVersionInfo(targetName, versionToInstall);
+        // 1. Use the cached archive if its digest matches what we expect (or what was recorded when it was cached).
+        let archivePath = null;
+        let actualIntegrity = null;
+        let fromCache = false;
+        const cacheEntry = readCacheEntry(ipfsHash);
+        if (cacheEntry) {
+            downloadSpinner.text = `Verifying cached archive of ${libraryLabel}...`;
+            const cachedIntegrity = await computeFileIntegrity(cacheEntry.archivePath);
+            if (cachedIntegrity === (expectedIntegrity || cacheEntry.integrity)) {
+                archivePath = cacheEntry.archivePath;
+                actualIntegrity = cachedIntegrity;
+                fromCache = true;
+                recordCacheUse(ipfsHash, cachedIntegrity, libraryLabel);
+            } else {
+                removeCacheEntry(ipfsHash); // Corrupted or tampered with; fetch a fresh copy.
+            }
+        }
 
-        ipfsHash = versionData[0];
-        const isDeprecated = versionData[3];
-        // Ensure dependencies array exists, default to empty if not present or null.
-        subDependencies = versionData[4] || [];
+        if (!archivePath && offline) {
+            const offlineError = new Error(`${libraryLabel} (CID ${ipfsHash}) is not in the local cache (or failed verification), and IPFS is not used in offline mode.`);
+            offlineError.code = 'ENOTCACHED';
+            throw offlineError;
+        }
+        if (!archivePath) {
+            // Ensure IPFS client is ready.
+            if (!ipfs) {
+                throw new Error("IPFS client not initialized. Call ensureNetworkClientsInitialized first.");
+            }
+            // 2. Stream data directly from IPFS using `ipfs.cat(CID)` into a temporary file.
+            downloadSpinner.text = `Downloading ${libraryLabel} from IPFS (CID: ${ipfsHash.substring(0, 10)}...)`;
+            await pipeline(ipfs.cat(ipfsHash), fs.createWriteStream(tempArchivePath));
+
+            // 3. Verify the archive digest before anything touches the target directory or the cache.
+            downloadSpinner.text = `Verifying integrity of ${libraryLabel}...`;
+            actualIntegrity = await computeFileIntegrity(tempArchivePath);
+            if (expectedIntegrity && actualIntegrity !== expectedIntegrity) {
+                const integrityError = new Error(`Integrity check failed for ${libraryLabel} (CID ${ipfsHash}): ` +
+                                                 `expected ${expectedIntegrity}, got ${actualIntegrity}. The archive was not extracted.`);
+                integrityError.code = 'EINTEGRITY';
+                throw integrityError;
+            }
+            archivePath = addToCache(ipfsHash, tempArchivePath, actualIntegrity, libraryLabel);
+        }
 
-        fetchInfoSpinner.succeed(chalk.gray(`  -> Info received for ${targetName}@${versionToInstall}.`));
+        // 4. Ensure the target directory exists, creating intermediate directories if necessary.
+        fs.mkdirSync(targetPath, { recursive: true });
 
-        // Validate required data.
-        if (!ipfsHash || ipfsHash.trim() === '' || ipfsHash.startsWith('0x0000')) { // Check for empty or placeholder hash.
-             resolvedMap.delete(targetName); // Backtrack: remove from resolved map if info is invalid.
-            throw new Error(`Version ${versionToInstall} of "${targetName}" has an invalid or missing IPFS Hash in the registry.`);
-        }
-        if (isDeprecated) {
-            console.warn(chalk.yellow(`  -> Warning: Installing deprecated version ${targetName}@${versionToInstall}. Consider using a newer version if available.`));
+        // 5. Extract: archive -> gunzip -> checked tar extraction into the target directory.
+        downloadSpinner.text = `Extracting ${libraryLabel}...`;
+        try {
+            await extractArchiveSafely(archivePath, targetPath);
+        } catch (extractError) {
+            // Report what was refused while the partial extraction is still on disk, then remove it.
+            if (extractError.rejectedEntries && extractError.rejectedEntries.length > 0) {
+                downloadSpinner.stop();
+                const report = quiet ? (options.log || (() => {})) : (line) => console.error(line);
+                report(chalk.red(`  -> ${libraryLabel}: rejected archive entries:`));
+                for (const { name, reason } of extractError.rejectedEntries) {
+                    report(chalk.red(`       - ${name}: ${reason}`));
+                }
+            }
+            fs.removeSync(targetPath);
+            throw extractError;
         }
 
+        const verifiedNote = expectedIntegrity ? 'integrity verified' : 'published without a digest, not verified';
+        const sourceNote = fromCache ? ', from cache' : '';
+        downloadSpinner.succeed(chalk.green(`  -> Extracted ${libraryLabel} to ${targetPath} (${verifiedNote}${sourceNote})`));
+        return actualIntegrity;
     } catch (error) {
-         fetchInfoSpinner.fail();
-        resolvedMap.delete(targetName); // Backtrack: remove from resolved map if info fetching fails.
-        throw new Error(`Failed to get version info for ${targetName}@${versionToInstall}: ${getRevertReason(error)}`);
+        // Check for common IPFS errors like 'dag node not found'.
+        if (error.message && error.message.includes('dag node not found')) {
+             error.hint = `The content for CID ${ipfsHash} might not be available on the IPFS network or pinned.`;
+        }
+        if (error.code === 'EINTEGRITY') {
+             error.hint = `The IPFS node or gateway returned different content than the publisher uploaded. Do not trust this archive.`;
+        }
+        if (error.code === 'EUNSAFEARCHIVE' || error.code === 'EARCHIVELIMIT') {
+             error.hint = `The archive of ${libraryLabel} was refused and its partial extraction removed. Do not trust this package version.`;
+        }
+        if (!quiet) {
+            downloadSpinner.fail(chalk.red(`  -> Failed to download or extract ${libraryLabel} from IPFS CID ${ipfsHash}`));
+            console.error(chalk.red(`  -> Error: ${error.message}`));
+            if (error.hint) console.error(chalk.yellow(`  -> ${error.hint}`));
+        }
+        throw error; // Re-throw to allow the calling function (e.g., install) to handle the failure.
+    } finally {
+        fs.removeSync(tempDir); // Still holds the archive only if the download failed or did not verify.
     }
+}
 
-    // 6. Define the target path for extraction.
-    // Example: ./tpkm_installed_libs/my-lib/1.2.3/
-    const targetPath = path.join(installRoot, targetName, versionToInstall);
+// --- Registry Contract Extension Helper Functions ---
 
-    // 7. Download the archive from IPFS and extract it to the target path.
-    // `downloadAndExtract` handles the spinner and stream pipeline internally.
-    await downloadAndExtract(targetName, versionToInstall, ipfsHash, targetPath);
+// Extension functions found missing on the active registry contract, so they are not called again this session.
+const missingRegistryFunctions = new Set();
 
-    // 8. Recursively process sub-dependencies.
-    if (subDependencies.length > 0) {
-        console.log(chalk.blue(`  -> Processing ${subDependencies.length} sub-dependencies for ${targetName}@${versionToInstall}...`));
-        for (const subDep of subDependencies) {
-            // Here, you would typically perform access checks if the sub-dependency might be private.
-            // This example assumes dependencies are public or access is implicitly handled by the contract logic
-            // (e.g., getVersionInfo might fail if the caller doesn't have access to a private dependency's details).
-            // A more robust implementation might explicitly call `contractReadOnly.hasAccess(subDep.name, callerAddress)` here.
+/**
+ * Tells whether a failed contract call means the registry contract lacks the function (see `REGISTRY_EXTENSION_ABI`).
+ * A contract without the function (and without a fallback) reverts with no revert data, which ethers reports as a
+ * CALL_EXCEPTION without data or reason. An address that returns nothing at all yields BAD_DATA instead.
+ * @param {Error} error - The error thrown by the contract call.
+ * @returns {boolean} True if the function is not implemented by the deployed contract.
+ */
+function isMissingRegistryFunction(error) {
+    if (!error) return false;
+    if (error.code === 'BAD_DATA') return error.value === '0x';
+    return error.code === 'CALL_EXCEPTION' && !error.reason && !error.revert && (error.data == null || error.data === '0x');
+}
 
-            // Recursive call for the sub-dependency.
-            await processInstallation(subDep.name, subDep.constraint, resolvedMap, installRoot);
-        }
-        console.log(chalk.blue(`  -> Finished processing sub-dependencies for ${targetName}@${versionToInstall}.`));
-    } else {
-         console.log(chalk.gray(`  -> ${targetName}@${versionToInstall} has no sub-dependencies.`));
+/**
+ * Calls a view function of `REGISTRY_EXTENSION_ABI` on the read-only contract, remembering when the contract lacks it.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} functionName - The extension function (e.g., 'getDistTags').
+ * @param {Array<*>} args - The call arguments.
+ * @returns {Promise<{supported: boolean, result: *}>} `result` is undefined when the function is not supported.
+ * @throws Will throw any contract error other than a missing function.
+ */
+async function callRegistryExtension(functionName, args) {
+    if (missingRegistryFunctions.has(functionName)) return { supported: false, result: undefined };
+    try {
+        return { supported: true, result: await contractReadOnly[functionName](...args) };
+    } catch (error) {
+        if (!isMissingRegistryFunction(error)) throw error;
+        missingRegistryFunctions.add(functionName);
+        return { supported: false, result: undefined };
     }
 }
 
+/**
+ * Reads the archive digest published for a version, if the registry contract records digests.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} libraryName - The library name.
+ * @param {string} versionString - The version.
+ * @returns {Promise<{supported: boolean, integrity: string|null}>} `integrity` is null for versions published without
+ * a digest, or when digests are unsupported.
+ * @throws Will throw any other contract error.
+ */
+async function readVersionIntegrity(libraryName, versionString) {
+    const { supported, result: integrity } = await callRegistryExtension('getVersionIntegrity', [libraryName, versionString]);
+    return { supported, integrity: integrity || null };
+}
 
-// --- Error Handling Helper ---
+/**
+ * Tells whether the registry contract records archive digests (`publishVersionWithIntegrity`, `getVersionIntegrity`),
+ * by reading the digest of one version. Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} libraryName - The library name.
+ * @param {string} versionString - The version (it does not need to exist).
+ * @returns {Promise<boolean>} False if the contract lacks these functions.
+ */
+async function supportsVersionIntegrity(libraryName, versionString) {
+    try {
+        return (await readVersionIntegrity(libraryName, versionString)).supported;
+    } catch (error) {
+        return true; // The function exists; the read failed for another reason (e.g., unknown version).
+    }
+}
 
 /**
- * Attempts to extract a more human-readable revert reason from an Ethereum transaction error object,
- * especially from errors returned by `ethers.js` contract calls.
- * It checks various properties where revert reasons might be stored and maps known
- * contract-specific error strings (like those from LibraryRegistry.sol) to user-friendly messages.
- *
- * @param {Error | any} error - The error object caught from an ethers.js call or other operation.
- * @returns {string} A user-friendly error message, the decoded revert reason, or a generic error message
- * if a specific reason cannot be reliably extracted.
+ * Reads the deprecation message of a version, if the registry contract supports messages.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} libraryName - The library name.
+ * @param {string} versionString - The version.
+ * @returns {Promise<{supported: boolean, message: string|null}>} `message` is null when none is set or unsupported.
+ * @throws Will throw any other contract error (e.g., the version does not exist).
  */
-function getRevertReason(error) {
-    let specificReason = null;
+async function readDeprecationMessage(libraryName, versionString) {
+    const { supported, result: message } = await callRegistryExtension('getDeprecationMessage', [libraryName, versionString]);
+    return { supported, message: message || null };
+}
 
-    // Ensure error is an object before accessing properties.
-    if (!error || typeof error !== 'object') {
-        return String(error) || "An unknown error occurred.";
+/**
+ * Tells whether the registry contract supports deprecation messages and undeprecating (`getDeprecationMessage`,
+ * `deprecateVersionWithMessage`, `undeprecateVersion`), by reading the message of one version.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} libraryName - The library name.
+ * @param {string} versionString - The version.
+ * @returns {Promise<boolean>} False if the contract lacks these functions.
+ */
+async function supportsDeprecationMessages(libraryName, versionString) {
+    try {
+        return (await readDeprecationMessage(libraryName, versionString)).supported;
+    } catch (error) {
+        return true; // The function exists; the read failed for another reason (e.g., unknown version), reported later.
     }
+}
 
-    // Strategy 1: Ethers v6+ standard `error.reason` (most common for simple reverts).
-    if (typeof error.reason === 'string') {
-        specificReason = error.reason;
-    }
-    // Strategy 2: Check `error.revert.args` (common in older ethers or specific frameworks).
-    else if (error.revert && Array.isArray(error.revert.args) && error.revert.args.length > 0 && typeof error.revert.args[0] === 'string') {
-        specificReason = error.revert.args[0];
-    }
-    // Strategy 3: Attempt to parse `error.data` using the contract ABI (for custom errors or requires).
-    // Requires `registryAbi` to be loaded.
-    else if (error.data && registryAbi) {
-        try {
-            const iface = new ethers.Interface(registryAbi);
-            const parsedError = iface.parseError(error.data);
-            if (parsedError) {
-                // Handle standard `require` revert: Error(string)
-                if (parsedError.name === "Error" && parsedError.args && typeof parsedError.args[0] === 'string') {
-                    specificReason = parsedError.args[0];
-                }
-                // Handle custom errors: CustomErrorName(arg1, arg2)
-                else {
-                    specificReason = `${parsedError.name}(${parsedError.args.join(', ')})`;
-                }
-            }
-        } catch (parseE) {
-            // Ignore ABI parsing errors if `error.data` doesn't match a known error signature.
-            if (process.env.DEBUG) console.warn(chalk.yellow("Could not parse error data using ABI:"), parseE.message);
+/**
+ * Reads the dist-tags (e.g., `latest`, `next`) of a library, if the registry contract supports them.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @param {string} libraryName - The library name.
+ * @returns {Promise<{supported: boolean, tags: Object<string, string>}>} `tags` maps tag -> version.
+ * @throws Will throw any other contract error.
+ */
+async function readDistTags(libraryName) {
+    const { supported, result } = await callRegistryExtension('getDistTags', [libraryName]);
+    if (!supported) return { supported: false, tags: {} };
+    const [tagNames, versions] = result;
+    return { supported: true, tags: Object.fromEntries(tagNames.map((tag, i) => [tag, versions[i]])) };
+}
+
+/**
+ * Sends a dist-tag transaction after checking that the wallet owns the library and the registry supports dist-tags.
+ * @param {string} libraryName - The library name.
+ * @param {string} actionText - What is being done, for the spinner (e.g., 'Tagging my-lib@2.0.0-beta.1 as "next"').
+ * @param {function(object): Promise<object>} sendTransaction - Sends the transaction with the writable contract.
+ * @param {function(Object<string, string>): void} [validate] - Called with the current tags; throws to abort.
+ * @returns {Promise<void>}
+ */
+async function changeDistTag(libraryName, actionText, sendTransaction, validate = () => {}) {
+    await ensureNetworkClientsInitialized(); // Need network access.
+    // Need signer to send the transaction. Will prompt for password.
+    const { contract: writableContractInstance, wallet: currentSignerWallet } = await loadWalletAndConnect();
+    if (!writableContractInstance || !currentSignerWallet) return;
+
+    const checkSpinner = ora({ text: `Verifying ownership of "${libraryName}"...`, color: 'gray' }).start();
+    try {
+        const libInfo = await contractReadOnly.getLibraryInfo(libraryName);
+        if (libInfo[0].toLowerCase() !== currentSignerWallet.address.toLowerCase()) {
+            throw new Error(`Permission Denied: Your wallet (${currentSignerWallet.address}) is not the owner (${libInfo[0]}) of library "${libraryName}".`);
         }
+        const { supported, tags } = await readDistTags(libraryName);
+        if (!supported) {
+            throw new Error(`The registry contract at ${currentActiveContractAddress} does not support dist-tags.`);
+        }
+        await validate(tags);
+        checkSpinner.succeed(chalk.gray('Ownership confirmed.'));
+    } catch (checkError) {
+        checkSpinner.fail(chalk.red('Pre-check failed:'));
+        console.error(chalk.red(`  ${getRevertReason(checkError)}`));
+        process.exitCode = 1;
+        return;
     }
-     // Strategy 4: Look for error message within nested 'error' objects (sometimes seen with provider errors)
-    else if (error.error && typeof error.error.message === 'string') {
-         specificReason = error.error.message;
-         // Often includes prefixes like "execution reverted: ", try to clean it up.
-         if (specificReason.startsWith('execution reverted: ')) {
-             specificReason = specificReason.substring('execution reverted: '.length);
-         }
+
+    const tagSpinner = ora({ text: `${actionText}...`, color: 'yellow' }).start();
+    try {
+        const tx = await sendTransaction(writableContractInstance);
+        tagSpinner.text = `Waiting for transaction confirmation (Hash: ${tx.hash.substring(0,10)}...)...`;
+        await tx.wait(1); // Wait for 1 confirmation.
+        tagSpinner.succeed(chalk.green(`${actionText}: done.`));
+        console.log(chalk.blue(`Transaction Hash: ${tx.hash}`));
+    } catch (error) {
+        tagSpinner.fail(chalk.red(`${actionText} failed:`));
+        console.error(chalk.red(`  ${getRevertReason(error)}`));
+        if (process.env.DEBUG) console.error(error.stack);
     }
+}
 
-    // Fallback to the main error message if no specific reason was extracted.
-    let displayMessage = specificReason || error.message || "An unknown transaction error occurred.";
+// --- Registry Metadata Index Helper Functions ---
 
-    // Map known LibraryRegistry contract revert strings (or parts of them) to friendlier messages.
-    // Use the most specific reason found, or the full message for matching.
-    const reasonToMatch = (specificReason || error.message || "").toLowerCase(); // Case-insensitive matching is safer.
+const METADATA_INDEX_VERSION = 2; // Format version of the index files in ~/.tacopkm/index.
+const METADATA_LOG_BLOCK_RANGE = 5000; // Blocks per event query; many RPC providers cap the range of eth_getLogs.
+const MAX_METADATA_SYNC_BLOCKS = 50000; // Further behind than this, starting a fresh index is cheaper than replaying events.
+// Registry events that change indexed metadata. Every one has the library name as its first (indexed) argument.
+const METADATA_INDEX_EVENTS = ['LibraryRegistered', 'VersionPublished', 'VersionDeprecated', 'VersionUndeprecated', 'DistTagChanged', 'LibraryDeleted'];
 
-    // --- LibraryRegistry Specific Error Mappings ---
-    if (reasonToMatch.includes('libraryregistry: library does not exist')) {
-        displayMessage = `Library not found in the registry. Check the spelling or register it first.`;
-    } else if (reasonToMatch.includes('libraryregistry: version does not exist')) {
-        displayMessage = `Version not found for this library. Use 'tpkm info <libraryName> --versions' to list available versions.`;
-    } else if (reasonToMatch.includes('libraryregistry: caller is not the owner')) {
-        displayMessage = `Permission Denied: Your wallet address is not the owner of this library or record.`;
-    } else if (reasonToMatch.includes('libraryregistry: library name already exists')) {
-        displayMessage = `Library name is already registered. Please choose a unique name.`;
-    } else if (reasonToMatch.includes('libraryregistry: version already exists')) {
-        displayMessage = `This version has already been published for this library. Please increment the version number.`;
-    } else if (reasonToMatch.includes('libraryregistry: ipfs hash cannot be empty')) {
-        displayMessage = `The IPFS hash cannot be empty. Ensure the package was uploaded to IPFS correctly before publishing.`;
-    } else if (reasonToMatch.includes('libraryregistry: library is not private')) {
-        displayMessage = `Operation Failed: This action is only applicable to private libraries, but the target library is public.`;
-    } else if (reasonToMatch.includes('libraryregistry: invalid user address')) {
-        displayMessage = `Invalid user address provided (e.g., it might be the zero address 0x0...).`;
-    } else if (reasonToMatch.includes('libraryregistry: cannot delete library with published versions')) {
-        displayMessage = `Deletion Failed: Cannot delete a library that still has published versions. Deprecate or manage versions first.`;
-    } else if (reasonToMatch.includes('libraryregistry: user not authorized')) {
-        displayMessage = `Access Denied: The specified user is not authorized to access this private library.`;
-    } else if (reasonToMatch.includes('libraryregistry: user already authorized')) {
-         displayMessage = `User is already authorized for this library. No action needed.`;
-    } else if (reasonToMatch.includes('libraryregistry: cannot authorize owner')) {
-         displayMessage = `Cannot explicitly authorize the library owner; owners always have access.`;
-    } else if (reasonToMatch.includes('libraryregistry: cannot revoke owner')) {
-         displayMessage = `Cannot revoke access for the library owner.`;
-    }
-    // --- End LibraryRegistry Specific ---
+/**
+ * Returns the index file for the active network profile.
+ * @returns {string} The path of the index file (e.g., ~/.tacopkm/index/sepolia-public.json).
+ */
+function getMetadataIndexPath() {
+    const fileName = currentActiveNetworkName.replace(/[^A-Za-z0-9._-]+/g, '_') || 'default';
+    return path.join(metadataIndexDir, `${fileName}.json`);
+}
 
-    // --- General Ethereum / Provider Error Mappings ---
-    if (reasonToMatch.includes('insufficient funds')) {
-        displayMessage = `Insufficient funds in your wallet to pay for the transaction gas fees.`;
-    } else if (reasonToMatch.includes('nonce too low') || reasonToMatch.includes('replacement transaction underpriced')) {
-        displayMessage = `Nonce error or transaction underpriced. Try the operation again, possibly with a higher gas price if manually set.`;
-    } else if (reasonToMatch.includes('user denied transaction signature')) {
-        displayMessage = `Transaction was rejected or cancelled by the user in their wallet software.`;
-    }
+/**
+ * Creates an empty index for the active registry, valid as of `blockNumber`.
+ * Entries are filled lazily by the registry reader as commands request them.
+ * @param {number} blockNumber - The block up to which the (empty) index is current.
+ * @returns {object} Structure: { indexVersion, network, contractAddress, block, libraryNames: string[]|null,
+ * libraries: { [name]: { info?, versionNumbers?, distTags?, versions: { [version]: rawVersionInfo } } }, dirty }.
+ */
+function createEmptyMetadataIndex(blockNumber) {
+    return {
+        indexVersion: METADATA_INDEX_VERSION,
+        network: currentActiveNetworkName,
+        contractAddress: currentActiveContractAddress,
+        block: blockNumber,
+        libraryNames: null,
+        libraries: {},
+        dirty: true,
+    };
+}
 
-    // --- IPFS Specific Error Mappings (from download/upload helpers) ---
-    if (error.code === 'ERR_BAD_REQUEST' && reasonToMatch.includes('dag node not found')) {
-        displayMessage = `IPFS content not found (DAG node not found). The requested CID may not be available or pinned on the network.`;
+/**
+ * Applies registry events to an index by dropping every cached entry they make stale.
+ * Library names are indexed event topics, i.e. only their keccak256 hash is known; events about
+ * libraries that are not in the index need no invalidation beyond the list of names.
+ * @param {object} index - The metadata index to update.
+ * @param {Array<object>} events - Event logs ({ eventName, topics, args }) from `queryFilter`.
+ */
+function applyMetadataIndexEvents(index, events) {
+    const namesByHash = new Map(Object.keys(index.libraries).map(name => [ethers.id(name), name]));
+    for (const event of events) {
+        if (event.eventName === 'LibraryRegistered' || event.eventName === 'LibraryDeleted') {
+            index.libraryNames = null;
+        }
+        const libraryName = namesByHash.get(event.topics[1]);
+        if (!libraryName) continue;
+        const entry = index.libraries[libraryName];
+        switch (event.eventName) {
+            case 'LibraryRegistered':
+            case 'LibraryDeleted':
+                delete index.libraries[libraryName];
+                break;
+            case 'VersionPublished':
+                delete entry.versionNumbers;
+                delete entry.versions[event.args[1]];
+                break;
+            case 'VersionDeprecated':
+            case 'VersionUndeprecated':
+                delete entry.versions[event.args[1]];
+                break;
+            case 'DistTagChanged':
+                delete entry.distTags;
+                break;
+        }
     }
+}
 
-    // Final cleanup: If the message is still very technical or an object, return the most specific string part.
-    if (typeof displayMessage !== 'string') {
-        return specificReason || error.message || "Transaction reverted or failed with an unspecified error.";
-    }
-    // Remove common prefixes if they weren't caught earlier.
-    if (displayMessage.startsWith('execution reverted: ')) {
-        displayMessage = displayMessage.substring('execution reverted: '.length);
+/**
+ * Opens the metadata index of the active network profile and brings it up to the latest block by
+ * replaying registry events since the block it was last synced to. The index is discarded and started
+ * empty if it belongs to another contract, the chain went backwards, or it is too far behind.
+ * Requires `ensureNetworkClientsInitialized` to have run.
+ * @returns {Promise<object|null>} The synced index, or null if it could not be synced (callers then read
+ * directly from the contract).
+ */
+async function openMetadataIndex() {
+    const indexPath = getMetadataIndexPath();
+    try {
+        const latestBlock = Number(await provider.getBlockNumber());
+        let index = null;
+        try {
+            if (fs.existsSync(indexPath)) index = fs.readJsonSync(indexPath);
+        } catch (readError) {
+            index = null; // Corrupted index: rebuild it.
+        }
+        const usable = index && index.indexVersion === METADATA_INDEX_VERSION &&
+            typeof index.contractAddress === 'string' &&
+            index.contractAddress.toLowerCase() === currentActiveContractAddress.toLowerCase() &&
+            Number.isInteger(index.block) && index.block <= latestBlock &&
+            latestBlock - index.block <= MAX_METADATA_SYNC_BLOCKS;
+        if (!usable) return createEmptyMetadataIndex(latestBlock);
+
+        index.dirty = false;
+        if (index.block === latestBlock) return index;
+        try {
+            for (let fromBlock = index.block + 1; fromBlock <= latestBlock; fromBlock += METADATA_LOG_BLOCK_RANGE) {
+                const toBlock = Math.min(fromBlock + METADATA_LOG_BLOCK_RANGE - 1, latestBlock);
+                const events = [];
+                for (const eventName of METADATA_INDEX_EVENTS) {
+                    events.push(...await contractReadOnly.queryFilter(contractReadOnly.filters[eventName](), fromBlock, toBlock));
+                }
+                events.sort((a, b) => a.blockNumber - b.blockNumber);
+                applyMetadataIndexEvents(index, events);
+            }
+        } catch (syncError) {
+            // The events could not be replayed, so nothing cached can be trusted.
+            if (process.env.DEBUG) console.warn(chalk.gray(`Metadata index sync failed, starting fresh: ${syncError.message}`));
+            return createEmptyMetadataIndex(latestBlock);
+        }
+        index.block = latestBlock;
+        index.dirty = true;
+        return index;
+    } catch (error) {
+        console.warn(chalk.yellow(`Warning: Could not use the metadata index (${error.message}). Reading directly from the registry.`));
+        return null;
     }
-    if (displayMessage.startsWith('Error: ')) {
-         displayMessage = displayMessage.substring('Error: '.length);
+}
+
+/**
+ * Writes a metadata index back to disk if it changed. Failures only produce a warning.
+ * @param {object|null} index - The index from `openMetadataIndex` (null is ignored).
+ */
+function saveMetadataIndex(index) {
+    if (!index || !index.dirty) return;
+    const { dirty, ...data } = index;
+    try {
+        fs.ensureDirSync(metadataIndexDir);
+        fs.writeFileSync(getMetadataIndexPath(), JSON.stringify(data) + '\n', 'utf8');
+        index.dirty = false;
+    } catch (error) {
+        console.warn(chalk.yellow(`Warning: Could not save the metadata index to ${getMetadataIndexPath()}: ${error.message}`));
     }
+}
 
-    return displayMessage.trim(); // Return the cleaned-up, user-friendly message.
+/**
+ * Opens the metadata index for a read command, honoring `--no-cache`.
+ * @param {object} options - The command options parsed by commander (`options.cache` is false for `--no-cache`).
+ * @returns {Promise<object|null>} The synced index, or null when the cache is disabled or unavailable.
+ */
+async function openMetadataIndexForCommand(options) {
+    return options.cache === false ? null : openMetadataIndex();
 }
 
+// --- Registry Search Helper Functions ---
 
-// =============================================================================
-// --- CLI Command Definitions ---
-// =============================================================================
+const REGISTRY_READ_CONCURRENCY = 8; // Parallel contract reads when fetching metadata for many libraries.
+const DEFAULT_SEARCH_LIMIT = 20; // Results shown by `tpkm search` unless --limit is given.
 
-program
-    .name('tpkm')
-    .description('Taco Package Manager CLI - A decentralized package manager using IPFS and Ethereum.')
-    .version('0.1.0'); // Update version as the tool evolves.
+/**
+ * Returns the version a user most likely means by "latest": the highest stable version,
+ * or the highest pre-release if nothing stable has been published.
+ * @param {string[]} versions - Published version strings.
+ * @returns {string|null} The latest version, or null if the list has no valid versions.
+ */
+function getLatestVersion(versions) {
+    const valid = versions.filter(version => semver.valid(version)).sort(semver.rcompare);
+    return valid.find(version => !semver.prerelease(version)) || valid[0] || null;
+}
 
-// --- Config Subcommands (tpkm config ...) ---
-// Manages network configuration profiles stored in ~/.tacopkm/networks.json.
-const configCommand = program.command('config')
-    .description('Manage TPKM network configurations (RPC URL, Contract Address).');
+/**
+ * Splits published versions into the stable and the pre-release channel.
+ * @param {string[]} versions - Published version strings.
+ * @returns {{stable: string[], prerelease: string[]}} Both sorted highest first; invalid versions are dropped.
+ */
+function splitReleaseChannels(versions) {
+    const valid = versions.filter(version => semver.valid(version)).sort(semver.rcompare);
+    return {
+        stable: valid.filter(version => !semver.prerelease(version)),
+        prerelease: valid.filter(version => semver.prerelease(version)),
+    };
+}
 
 /**
- * Command: tpkm config add <name>
- * Adds or updates a named network profile (RPC URL, Contract Address).
+ * Scores how well a library matches a search query. Every term must match the name, a tag, the language
+ * or the description; name matches weigh most, then tags, then the description.
+ * @param {string} libraryName - The library name.
+ * @param {object} info - The library info ({ description, tags, language }).
+ * @param {string[]} terms - Lower-case query terms.
+ * @returns {number} The score; 0 means the library does not match.
  */
-configCommand
-    .command('add <name>')
-    .description('Add or update a network configuration profile.')
+function scoreLibraryMatch(libraryName, info, terms) {
+    const name = libraryName.toLowerCase();
+    const tags = (info.tags || []).map(tag => tag.toLowerCase());
+    const description = (info.description || '').toLowerCase();
+    const language = (info.language || '').toLowerCase();
+    let total = 0;
+    for (const term of terms) {
+        let score = 0;
+        if (name === term) score = 100;
+        else if (name.startsWith(term)) score = 60;
+        else if (name.includes(term)) score = 40;
+        if (tags.includes(term)) score += 30;
+        else if (tags.some(tag => tag.includes(term))) score += 15;
+        if (language === term) score += 10;
+        if (description.includes(term)) score += 10;
+        if (score === 0) return 0;
+        total += score;
+    }
+    return total;
+}
+
+// --- Version Specifier Helper Functions ---
+
+const DIST_TAG_PATTERN = /^[A-Za-z][A-Za-z0-9._-]*$/; // Tags must not be valid semver ranges either (see `isValidDistTag`).
+
+/**
+ * Tells whether a string can be used as a dist-tag. Anything that parses as a version or range is rejected,
+ * so "name@<specifier>" stays unambiguous.
+ * @param {string} tag - The candidate tag.
+ * @returns {boolean} True if the tag is valid.
+ */
+function isValidDistTag(tag) {
+    return DIST_TAG_PATTERN.test(tag) && !semver.validRange(tag);
+}
+
+/**
+ * Parses a library identifier as accepted on the command line: "name", "name@1.2.3", "name@^1.2" or "name@tag".
+ * A bare name means the `latest` dist-tag.
+ * @param {string} libraryIdentifier - The identifier.
+ * @returns {{name: string, specifier: string, kind: 'version'|'range'|'tag', implicit: boolean}} `implicit` is true
+ * when no specifier was given.
+ * @throws Will throw an Error if the identifier is malformed.
+ */
+function parseLibraryIdentifier(libraryIdentifier) {
+    const match = libraryIdentifier.match(/^([^@]+)(?:@(.+))?$/);
+    if (!match) {
+        throw new Error(`Invalid library identifier "${libraryIdentifier}". Use "name", "name@version", "name@range" or "name@tag".`);
+    }
+    const [, name, specifier] = match;
+    if (specifier === undefined) return { name, specifier: 'latest', kind: 'tag', implicit: true };
+    if (semver.valid(specifier)) return { name, specifier, kind: 'version', implicit: false };
+    if (semver.validRange(specifier)) return { name, specifier, kind: 'range', implicit: false };
+    if (DIST_TAG_PATTERN.test(specifier)) return { name, specifier, kind: 'tag', implicit: false };
+    throw new Error(`Invalid version, range or dist-tag "${specifier}" in "${libraryIdentifier}".`);
+}
+
+/**
+ * Picks the version `latest` stands for when no `latest` dist-tag is set (or the registry has no dist-tags):
+ * the highest stable version that is not deprecated, else the highest version `getLatestVersion` picks.
+ * @param {object} reader - A registry reader from `createRegistryReader`.
+ * @param {string} libraryName - The library name.
+ * @param {string[]} versions - Its published versions.
+ * @returns {Promise<string|null>} The version, or null if the list has no valid versions.
+ */
+async function getDefaultLatestVersion(reader, libraryName, versions) {
+    for (const version of splitReleaseChannels(versions).stable) {
+        if (!(await reader.getVersionInfo(libraryName, version)).deprecated) return version;
+    }
+    return getLatestVersion(versions);
+}
+
+/**
+ * Resolves a parsed identifier to one published version. Ranges take the highest matching version; tags are
+ * looked up in the registry's dist-tags, where a missing `latest` (or a registry without dist-tags) falls back to
+ * the highest non-deprecated stable version (see `getDefaultLatestVersion`).
+ * @param {object} reader - A registry reader from `createRegistryReader`.
+ * @param {{name: string, specifier: string, kind: string}} parsed - From `parseLibraryIdentifier`.
+ * @param {object} [options={}] - Resolution options.
+ * @param {boolean} [options.includePrerelease=false] - Let ranges match pre-release versions (see `shouldIncludePrerelease`).
+ * @returns {Promise<string>} The version.
+ * @throws Will throw an Error if nothing matches (listing what is available).
+ */
+async function resolveVersionSpecifier(reader, parsed, options = {}) {
+    const { name, specifier, kind } = parsed;
+    if (kind === 'version') return specifier;
+    const versions = await reader.getVersionNumbers(name);
+    if (versions.length === 0) {
+        throw new Error(`Library "${name}" was not found or has no published versions.`);
+    }
+    if (kind === 'range') {
+        const version = semver.maxSatisfying(versions, specifier, { includePrerelease: !!options.includePrerelease });
+        if (!version) {
+            throw new Error(`No published version of "${name}" satisfies "${specifier}" (available: ${[...versions].sort(semver.compare).join(', ')}).`);
+        }
+        return version;
+    }
+    const { supported, tags } = await reader.getDistTags(name);
+    if (tags[specifier]) return tags[specifier];
+    if (specifier === 'latest') return getDefaultLatestVersion(reader, name, versions);
+    const known = Object.keys(tags);
+    throw new Error(supported
+        ? `Library "${name}" has no dist-tag "${specifier}" (tags: ${known.length > 0 ? known.join(', ') : 'none'}).`
+        : `The registry contract does not support dist-tags, so "${name}@${specifier}" cannot be resolved. Use a version or range.`);
+}
+
+// --- Reverse Dependency Helper Functions ---
+
+/**
+ * Scans every published version in the registry for dependencies on a library.
+ * All reads go through the registry reader, so with a metadata index only versions published since the
+ * last scan are fetched from the contract.
+ * @param {object} reader - A registry reader from `createRegistryReader`.
+ * @param {string} libraryName - The library whose dependents are wanted.
+ * @param {string|null} [versionString=null] - If given, only dependents whose constraint accepts this version count.
+ * @param {function(number, number): void} [onProgress] - Called with (scanned, total) as versions are read.
+ * @returns {Promise<{dependents: Array<object>, skipped: number}>} `dependents` holds
+ * { name, version, constraint, deprecated, alternatives } sorted by name and version, where `alternatives` lists the
+ * other non-deprecated versions of the library that the constraint accepts (only when `versionString` is given).
+ * `skipped` counts versions that could not be read (e.g., private libraries).
+ */
+async function findDependents(reader, libraryName, versionString = null, onProgress = () => {}) {
+    const names = (await reader.getAllLibraryNames()).filter(name => name !== libraryName);
+    const publishedVersions = [];
+    await runWithConcurrency(names, REGISTRY_READ_CONCURRENCY, async (name) => {
+        (await reader.getVersionNumbers(name)).forEach(version => publishedVersions.push({ name, version }));
+    });
+
+    const dependents = [];
+    let scanned = 0;
+    let skipped = 0;
+    await runWithConcurrency(publishedVersions, REGISTRY_READ_CONCURRENCY, async ({ name, version }) => {
+        try {
+            const versionInfo = await reader.getVersionInfo(name, version);
+            const dependency = versionInfo.dependencies.find(dep => dep.name === libraryName);
+            if (dependency && (!versionString || semver.satisfies(versionString, dependency.constraint))) {
+                dependents.push({ name, version, constraint: dependency.constraint, deprecated: !!versionInfo.deprecated, alternatives: [] });
+            }
+        } catch (readError) {
+            skipped++;
+        }
+        onProgress(++scanned, publishedVersions.length);
+    });
+
+    if (versionString && dependents.length > 0) {
+        // Which other versions could these dependents fall back to?
+        const otherVersions = (await reader.getVersionNumbers(libraryName)).filter(version => version !== versionString);
+        const usable = [];
+        for (const version of otherVersions) {
+            if (!(await reader.getVersionInfo(libraryName, version)).deprecated) usable.push(version);
+        }
+        dependents.forEach(dependent => {
+            dependent.alternatives = usable.filter(version => semver.satisfies(version, dependent.constraint)).sort(semver.rcompare);
+        });
+    }
+    dependents.sort((a, b) => a.name.localeCompare(b.name) || semver.compare(a.version, b.version));
+    return { dependents, skipped };
+}
+
+/**
+ * Prints the dependents found by `findDependents` as a table.
+ * @param {Array<object>} dependents - The dependents.
+ * @param {boolean} showAlternatives - Whether to include the column of other acceptable versions.
+ */
+function printDependentsTable(dependents, showAlternatives) {
+    const head = [chalk.cyan('Dependent'), chalk.cyan('Constraint'), chalk.cyan('Dependent Deprecated')];
+    if (showAlternatives) head.push(chalk.cyan('Other Acceptable Versions'));
+    const table = new Table({ head });
+    dependents.forEach(dependent => {
+        const row = [`${dependent.name}@${dependent.version}`, dependent.constraint, dependent.deprecated ? chalk.red('Yes') : 'No'];
+        if (showAlternatives) {
+            row.push(dependent.alternatives.length > 0 ? dependent.alternatives.slice(0, 3).join(', ') + (dependent.alternatives.length > 3 ? ', ...' : '') : chalk.red('(none)'));
+        }
+        table.push(row);
+    });
+    console.log(table.toString());
+}
+
+// --- Dependency Resolution Helper Functions ---
+
+const MAX_RESOLUTION_STEPS = 10000; // Upper bound on candidate versions tried before giving up on a graph.
+const DEPENDENCY_MAPPING_FILENAME = 'tpkm-deps.json'; // Per-parent dependency mapping written by nested installs.
+const DEFAULT_INSTALL_CONCURRENCY = 4; // Archives downloaded and extracted in parallel by default.
+
+/**
+ * Determines how the resolver treats deprecated versions from the `--strict` / `--allow-deprecated` options.
+ * @param {object} options - Command options.
+ * @returns {'prefer'|'strict'|'allow'} `prefer` (default): non-deprecated versions are tried first, deprecated ones
+ * only when nothing else fits; `strict`: deprecated versions are never chosen; `allow`: deprecation is ignored and
+ * the highest matching version wins.
+ * @throws Will throw an Error if both options are given.
+ */
+function getDeprecationPolicy(options) {
+    if (options.strict && options.allowDeprecated) {
+        throw new Error('--strict and --allow-deprecated cannot be used together.');
+    }
+    if (options.strict) return 'strict';
+    return options.allowDeprecated ? 'allow' : 'prefer';
+}
+
+/**
+ * Determines whether version ranges may match pre-release versions: per run (`--include-prerelease`), per
+ * project (`"includePrerelease": true` in lib.config.json), or because the lockfile was resolved that way.
+ * Without it, a range like "^1.0.0" never matches "1.1.0-beta.1"; only ranges that name a pre-release of the
+ * same version do (semver's default).
+ * @param {object} options - Command options.
+ * @param {object|null} projectConfig - The parsed lib.config.json, if any.
+ * @param {object|null} [lockfile=null] - The loaded lockfile. Omitted by `tpkm update`, which decides afresh.
+ * @returns {boolean} True if pre-releases are included.
+ */
+function shouldIncludePrerelease(options, projectConfig, lockfile = null) {
+    return !!options.includePrerelease || !!(projectConfig && projectConfig.includePrerelease === true) ||
+        !!(lockfile && lockfile.includePrerelease);
+}
+
+/**
+ * Creates a reader for library and version data from the registry contract. Every call is memoized for the
+ * lifetime of one command, so the resolver can revisit libraries while backtracking without repeating RPC
+ * calls, and, given a metadata index, answered from (and recorded in) the index across runs.
+ * @param {object} [options={}] - Reader options.
+ * @param {object|null} [options.metadataIndex=null] - A synced index from `openMetadataIndex`, or null to always
+ * ask the contract.
+ * @returns {{getLibraryInfo: function(string): Promise<object>, getAllLibraryNames: function(): Promise<string[]>,
+ * getVersionNumbers: function(string): Promise<string[]>, getDistTags: function(string): Promise<object>,
+ * getVersionInfo: function(string, string): Promise<object>}}
+ * `getLibraryInfo` resolves to { owner, description, tags, isPrivate, language } and rejects with the contract error
+ * if the library does not exist.
+ * `getAllLibraryNames` resolves to every registered library name.
+ * `getVersionNumbers` resolves to the published version strings (an empty array if the library does not exist).
+ * `getDistTags` resolves to { supported, tags: { [tag]: version } } (see `readDistTags`).
+ * `getVersionInfo` resolves to { ipfsHash, integrity, publisher, timestamp, deprecated, deprecationMessage,
+ * dependencies: [{ name, constraint }] },
+ * where `integrity` is the archive digest published with the version (null if it was published without one).
+ */
+function createRegistryReader(options = {}) {
+    const { metadataIndex = null } = options;
+    const libraryInfoCache = new Map(); // name -> Promise<object>
+    const versionNumbersCache = new Map(); // name -> Promise<string[]>
+    const versionInfoCache = new Map(); // "name@version" -> Promise<object>
+    const distTagsCache = new Map(); // name -> Promise<object>
+    let libraryNamesRequest = null;
+
+    // Returns the index entry of a library, creating it when `create` is set.
+    const indexEntry = (libraryName, create = false) => {
+        if (!metadataIndex) return null;
+        if (!metadataIndex.libraries[libraryName] && create) {
+            metadataIndex.libraries[libraryName] = { versions: {} };
+        }
+        return metadataIndex.libraries[libraryName] || null;
+    };
+    const record = (libraryName, update) => {
+        const entry = indexEntry(libraryName, true);
+        if (!entry) return;
+        update(entry);
+        metadataIndex.dirty = true;
+    };
+    const requireContract = () => {
+        if (!contractReadOnly) throw new Error("Read-only contract client not initialized.");
+    };
+
+    return {
+        getLibraryInfo(libraryName) {
+            if (!libraryInfoCache.has(libraryName)) {
+                const cached = indexEntry(libraryName);
+                let request;
+                if (cached && cached.info) {
+                    request = Promise.resolve(cached.info);
+                } else {
+                    requireContract();
+                    // Assumes getLibraryInfo returns: [owner, description, tags, isPrivate, language]
+                    request = contractReadOnly.getLibraryInfo(libraryName).then(libInfo => {
+                        const info = { owner: libInfo[0], description: libInfo[1], tags: [...libInfo[2]], isPrivate: libInfo[3], language: libInfo[4] };
+                        record(libraryName, entry => { entry.info = info; });
+                        return info;
+                    });
+                }
+                libraryInfoCache.set(libraryName, request);
+            }
+            return libraryInfoCache.get(libraryName);
+        },
+        getAllLibraryNames() {
+            if (!libraryNamesRequest) {
+                if (metadataIndex && metadataIndex.libraryNames) {
+                    libraryNamesRequest = Promise.resolve(metadataIndex.libraryNames);
+                } else {
+                    requireContract();
+                    // Assumes the smart contract has a function like `getAllLibraryNames()` that returns string[].
+                    libraryNamesRequest = contractReadOnly.getAllLibraryNames().then(names => {
+                        const libraryNames = [...names];
+                        if (metadataIndex) {
+                            metadataIndex.libraryNames = libraryNames;
+                            metadataIndex.dirty = true;
+                        }
+                        return libraryNames;
+                    });
+                }
+            }
+            return libraryNamesRequest;
+        },
+        getVersionNumbers(libraryName) {
+            if (!versionNumbersCache.has(libraryName)) {
+                const cached = indexEntry(libraryName);
+                let request;
+                if (cached && cached.versionNumbers) {
+                    request = Promise.resolve(cached.versionNumbers);
+                } else {
+                    requireContract();
+                    request = contractReadOnly.getVersionNumbers(libraryName)
+                        .then(versions => {
+                            const versionNumbers = [...versions];
+                            record(libraryName, entry => { entry.versionNumbers = versionNumbers; });
+                            return versionNumbers;
+                        })
+                        .catch(error => {
+                            // A library that does not exist simply has no candidate versions.
+                            if (getRevertReason(error).toLowerCase().includes('library not found')) return [];
+                            throw new Error(`Failed to fetch available versions for "${libraryName}": ${getRevertReason(error)}`);
+                        });
+                }
+                // Callers may sort the list in place; never hand out the indexed array itself.
+                versionNumbersCache.set(libraryName, request.then(versions => [...versions]));
+            }
+            return versionNumbersCache.get(libraryName);
+        },
+        getDistTags(libraryName) {
+            if (!distTagsCache.has(libraryName)) {
+                const cached = indexEntry(libraryName);
+                let request;
+                if (cached && cached.distTags) {
+                    request = Promise.resolve(cached.distTags);
+                } else {
+                    requireContract();
+                    request = readDistTags(libraryName)
+                        .then(distTags => {
+                            record(libraryName, entry => { entry.distTags = distTags; });
+                            return distTags;
+                        })
+                        .catch(error => {
+                            throw new Error(`Failed to fetch dist-tags for "${libraryName}": ${getRevertReason(error)}`);
+                        });
+                }
+                distTagsCache.set(libraryName, request.then(distTags => ({ supported: distTags.supported, tags: { ...distTags.tags } })));
+            }
+            return distTagsCache.get(libraryName);
+        },
+        getVersionInfo(libraryName, versionString) {
+            const key = `${libraryName}@${versionString}`;
+            if (!versionInfoCache.has(key)) {
+                const cached = indexEntry(libraryName);
+                let request;
+                if (cached && cached.versions[versionString]) {
+                    request = Promise.resolve(cached.versions[versionString]);
+                } else {
+                    requireContract();
+                    // Assumes getVersionInfo returns: [ipfsHash, publisher, timestamp, deprecated, dependencies]
+                    // where dependencies is an array of { name: string, constraint: string } structs.
+                    request = contractReadOnly.getVersionInfo(libraryName, versionString)
+                        .then(async versionData => {
+                            const rawInfo = {
+                                ipfsHash: versionData[0],
+                                // Read before the version is used, so installers can verify the archive before extracting it.
+                                integrity: (await readVersionIntegrity(libraryName, versionString)).integrity,
+                                publisher: versionData[1],
+                                timestamp: Number(versionData[2]), // Contract returns seconds since epoch as BigInt.
+                                deprecated: versionData[3],
+                                // Only deprecated versions can carry a message, so only they cost an extra call. The message
+                                // is informational: if it cannot be read, the version is still usable without it.
+                                deprecationMessage: versionData[3]
+                                    ? await readDeprecationMessage(libraryName, versionString).then(result => result.message, () => null)
+                                    : null,
+                                dependencies: (versionData[4] || []).map(dep => ({ name: dep.name, constraint: dep.constraint })),
+                            };
+                            record(libraryName, entry => { entry.versions[versionString] = rawInfo; });
+                            return rawInfo;
+                        })
+                        .catch(error => {
+                            throw new Error(`Failed to get version info for ${key}: ${getRevertReason(error)}`);
+                        });
+                }
+                versionInfoCache.set(key, request.then(rawInfo => ({ ...rawInfo, dependencies: rawInfo.dependencies.map(dep => ({ ...dep })) })));
+            }
+            return versionInfoCache.get(key);
+        },
+    };
+}
+
+/**
+ * Creates a reader with the same interface as `createRegistryReader` that answers from the lockfile only,
+ * for offline installs. Only locked versions exist as far as the resolver is concerned.
+ * @param {object} lockfile - The loaded lockfile (see `loadLockfile`).
+ * @returns {{getVersionNumbers: function(string): Promise<string[]>, getVersionInfo: function(string, string): Promise<object>}}
+ */
+function createLockfileReader(lockfile) {
+    return {
+        async getVersionNumbers(libraryName) {
+            return Object.values(lockfile.libraries).filter(entry => entry.name === libraryName).map(entry => entry.version);
+        },
+        async getVersionInfo(libraryName, versionString) {
+            const entry = lockfile.libraries[`${libraryName}@${versionString}`];
+            if (!entry) {
+                throw new Error(`${libraryName}@${versionString} is not recorded in ${LOCKFILE_FILENAME}.`);
+            }
+            return {
+                ipfsHash: entry.ipfsHash,
+                integrity: entry.integrity || null,
+                publisher: entry.publisher,
+                timestamp: entry.timestamp,
+                deprecated: !!entry.deprecated, // As of the install that wrote the lockfile.
+                deprecationMessage: entry.deprecationMessage || null,
+                dependencies: Object.entries(entry.dependencies || {}).map(([name, constraint]) => ({ name, constraint })),
+            };
+        },
+    };
+}
+
+/**
+ * Formats the chain of libraries that introduced a requirement, for conflict explanations.
+ * @param {{name: string, constraint: string, chain: string[]}} requirement - The requirement to describe.
+ * @returns {string} E.g. "(project) > app@1.0.0 > lib@1.1.0 requires utils@^2.0.0".
+ */
+function describeRequirement(requirement) {
+    return `${['(project)', ...requirement.chain].join(' > ')} requires ${requirement.name}@${requirement.constraint}`;
+}
+
+/**
+ * Resolves a complete dependency graph before anything is downloaded.
+ * By default every library gets exactly one version (flat layout). All constraints placed on a library are
+ * collected, and when a later constraint cannot be met by an earlier choice the resolver backtracks and tries
+ * older versions (conflict-directed backjumping: only choices that contributed to a conflict are revisited).
+ * In nested mode a requirement that no already-chosen version satisfies gets its own version instead, so
+ * incompatible versions of the same library can coexist.
+ * Versions pinned by the lockfile are tried first. Among the others, non-deprecated versions are tried before
+ * deprecated ones unless the deprecation policy says otherwise.
+ *
+ * @param {Array<{name: string, constraint: string}>} rootDependencies - The top-level constraints to satisfy.
+ * @param {object} options - Resolution options.
+ * @param {object} options.reader - A registry reader from `createRegistryReader`.
+ * @param {object|null} [options.lockfile] - The existing lockfile; its versions are preferred.
+ * @param {boolean} [options.frozenLockfile] - If true, only locked versions may be chosen.
+ * @param {boolean} [options.nested] - If true, allow several versions of one library side by side.
+ * @param {true|Set<string>|null} [options.unlocked] - Libraries whose locked versions are ignored (`true` for all),
+ * so they are re-resolved to the highest version their constraints allow.
+ * @param {'prefer'|'strict'|'allow'} [options.deprecationPolicy='prefer'] - How deprecated versions are treated
+ * (see `getDeprecationPolicy`).
+ * @param {boolean} [options.includePrerelease=false] - Whether ranges may match pre-release versions
+ * (see `shouldIncludePrerelease`).
+ * @returns {Promise<{rootDependencies: Object<string, string>, libraries: Map<string, object>}>} The resolved graph:
+ * `rootDependencies` maps each top-level library name to its resolved version, and `libraries` maps
+ * "name@version" to { name, version, ...versionInfo, resolvedDependencies: { [depName]: version } }.
+ * @throws Will throw an Error starting with "Version conflict" (including the chains of dependencies that
+ * caused it) if no combination of versions satisfies the graph, or "Lockfile drift" in frozen mode.
+ */
+async function resolveDependencyGraph(rootDependencies, options) {
+    const { reader, lockfile = null, frozenLockfile = false, nested = false, unlocked = null, deprecationPolicy = 'prefer', includePrerelease = false } = options;
+    const semverOptions = { includePrerelease };
+    let steps = 0;
+    let firstConflict = null; // The first dead end found, on the most preferred versions; usually the most useful one to report.
+    const resolveSpinner = ora({ text: 'Resolving dependency graph...', color: 'gray' }).start();
+
+    // Records a dead end for library `name` given all requirements placed on it.
+    // The conflict set holds every library whose chosen version contributed to one of those requirements.
+    const conflict = (name, requirements, reason) => {
+        const conflictSet = new Set([name]);
+        requirements.forEach(req => req.chain.forEach(link => conflictSet.add(link.substring(0, link.lastIndexOf('@')))));
+        if (!firstConflict) {
+            firstConflict = `Version conflict for "${name}": ${reason}\n` +
+                requirements.map(req => `    - ${describeRequirement(req)}`).join('\n');
+        }
+        return { ok: false, conflictSet };
+    };
+
+    // Orders (or, under the strict policy, filters) candidates by deprecation. Locked versions keep their place
+    // in front: a version deprecated after it was locked is only replaced by `tpkm update`.
+    const applyDeprecationPolicy = async (name, candidates, lockedCount) => {
+        if (deprecationPolicy === 'allow') return { candidates, excludedDeprecated: [] };
+        const deprecated = new Set();
+        for (const version of candidates) {
+            if ((await reader.getVersionInfo(name, version)).deprecated) deprecated.add(version);
+        }
+        if (deprecationPolicy === 'strict') {
+            return { candidates: candidates.filter(version => !deprecated.has(version)), excludedDeprecated: [...deprecated] };
+        }
+        const locked = candidates.slice(0, lockedCount);
+        const others = candidates.slice(lockedCount);
+        return {
+            candidates: [...locked, ...others.filter(version => !deprecated.has(version)), ...others.filter(version => deprecated.has(version))],
+            excludedDeprecated: [],
+        };
+    };
+
+    // Returns candidate versions for `name` that satisfy every given requirement, most preferred first, and the
+    // deprecated versions that were left out under the strict policy.
+    const candidatesFor = async (name, requirements) => {
+        const available = await reader.getVersionNumbers(name);
+        const matching = available.filter(version => requirements.every(req => semver.satisfies(version, req.constraint, semverOptions)));
+        const isUnlocked = unlocked === true || (unlocked instanceof Set && unlocked.has(name));
+        const lockedVersions = lockfile && !isUnlocked
+            ? Object.values(lockfile.libraries).filter(entry => entry.name === name).map(entry => entry.version).sort(semver.rcompare)
+            : [];
+        const usableLocked = lockedVersions.filter(version => matching.includes(version));
+        if (frozenLockfile) {
+            if (usableLocked.length === 0) {
+                const pinned = lockedVersions.length > 0 ? lockedVersions.map(version => `${name}@${version}`).join(', ') : `no version of "${name}"`;
+                const lockError = new Error(`Lockfile drift: ${requirements.map(describeRequirement).join('; ')}, ` +
+                                            `but ${LOCKFILE_FILENAME} pins ${pinned}.`);
+                lockError.code = 'ELOCKDRIFT';
+                throw lockError;
+            }
+            return { available, ...await applyDeprecationPolicy(name, usableLocked, usableLocked.length) };
+        }
+        lockedVersions.filter(version => !available.includes(version)).forEach(version => {
+            console.warn(chalk.yellow(`\nWarning: Locked version ${version} of "${name}" is no longer published. Re-resolving.`));
+        });
+        // Highest version first, but locked versions that still fit are always tried before the others.
+        const others = matching.filter(version => !usableLocked.includes(version)).sort(semver.rcompare);
+        return { available, ...await applyDeprecationPolicy(name, [...usableLocked, ...others], usableLocked.length) };
+    };
+
+    // Processes the pending requirement queue. `selected` maps name -> chosen versions and `requirements`
+    // maps name -> every requirement seen so far. Both are copied, never mutated, so backtracking is free.
+    const solve = async (queue, selected, requirements) => {
+        if (queue.length === 0) return { ok: true, selected };
+        const [requirement, ...rest] = queue;
+        const { name } = requirement;
+        const nameRequirements = [...(requirements.get(name) || []), requirement];
+        const nextRequirements = new Map(requirements).set(name, nameRequirements);
+        const chosenVersions = selected.get(name) || [];
+
+        // Already chosen: the new requirement must be met by that choice (or, nested, by one of them).
+        if (chosenVersions.some(version => semver.satisfies(version, requirement.constraint, semverOptions))) {
+            return solve(rest, selected, nextRequirements);
+        }
+        if (chosenVersions.length > 0 && !nested) {
+            const available = await reader.getVersionNumbers(name);
+            const compatible = available.filter(version => nameRequirements.every(req => semver.satisfies(version, req.constraint, semverOptions)));
+            return conflict(name, nameRequirements, compatible.length === 0
+                ? `no published version satisfies all of these requirements (available: ${[...available].sort(semver.compare).join(', ')}).`
+                : `version ${chosenVersions[0]} was chosen for an earlier requirement, but not every requirement accepts it.`);
+        }
+
+        // In nested mode a new copy only has to satisfy the requirement that asked for it.
+        const governingRequirements = nested ? [requirement] : nameRequirements;
+        const { available, candidates, excludedDeprecated } = await candidatesFor(name, governingRequirements);
+        if (candidates.length === 0) {
+            let reason = available.length === 0
+                ? 'the library was not found or has no published versions.'
+                : `no published version satisfies every requirement (available: ${[...available].sort(semver.compare).join(', ')}).`;
+            if (excludedDeprecated.length > 0) {
+                reason = `only deprecated versions satisfy every requirement (${excludedDeprecated.sort(semver.compare).join(', ')}), and --strict does not allow them.`;
+            }
+            return conflict(name, governingRequirements, reason);
+        }
+
+        const combinedConflictSet = new Set();
+        for (const version of candidates) {
+            if (++steps > MAX_RESOLUTION_STEPS) {
+                throw new Error(`Dependency resolution gave up after trying ${MAX_RESOLUTION_STEPS} candidate versions. ` +
+                                `Pin stricter version constraints to narrow the search.`);
+            }
+            resolveSpinner.text = `Resolving dependency graph... trying ${name}@${version} (${selected.size + 1} libraries selected)`;
+            const versionInfo = await reader.getVersionInfo(name, version);
+            const chain = [...requirement.chain, `${name}@${version}`];
+            const subRequirements = versionInfo.dependencies.map(dep => ({ name: dep.name, constraint: dep.constraint, chain }));
+
+            const nextSelected = new Map(selected).set(name, [...chosenVersions, version]);
+            const result = await solve([...rest, ...subRequirements], nextSelected, nextRequirements);
+            if (result.ok) return result;
+            // If this library's choice played no part in the failure, other versions of it won't help: jump back.
+            if (!result.conflictSet.has(name)) return result;
+            result.conflictSet.forEach(entry => combinedConflictSet.add(entry));
+        }
+        // Every candidate failed. The libraries that constrained this one become responsible for the failure.
+        combinedConflictSet.delete(name);
+        governingRequirements.forEach(req => req.chain.forEach(link => combinedConflictSet.add(link.substring(0, link.lastIndexOf('@')))));
+        return { ok: false, conflictSet: combinedConflictSet };
+    };
+
+    let result;
+    try {
+        const rootQueue = rootDependencies.map(dep => ({ name: dep.name, constraint: dep.constraint, chain: [] }));
+        result = await solve(rootQueue, new Map(), new Map());
+    } catch (error) {
+        resolveSpinner.fail(chalk.red('Dependency resolution failed.'));
+        throw error;
+    }
+    if (!result.ok) {
+        resolveSpinner.fail(chalk.red('Dependency resolution failed.'));
+        throw new Error(firstConflict || 'Version conflict: the dependency graph cannot be satisfied.');
+    }
+
+    // Each edge points at the highest chosen version of the dependency that satisfies its constraint.
+    const pickVersion = (name, constraint) => semver.maxSatisfying(result.selected.get(name) || [], constraint, semverOptions);
+    const graph = {
+        rootDependencies: Object.fromEntries(rootDependencies.map(dep => [dep.name, pickVersion(dep.name, dep.constraint)])),
+        libraries: new Map(),
+    };
+    for (const [name, versions] of result.selected) {
+        for (const version of versions) {
+            const versionInfo = await reader.getVersionInfo(name, version);
+            const resolvedDependencies = Object.fromEntries(versionInfo.dependencies.map(dep => [dep.name, pickVersion(dep.name, dep.constraint)]));
+            graph.libraries.set(`${name}@${version}`, { name, version, ...versionInfo, resolvedDependencies });
+        }
+    }
+    const duplicated = [...result.selected.values()].filter(versions => versions.length > 1).length;
+    resolveSpinner.succeed(chalk.gray(`Resolved ${graph.libraries.size} libraries (${steps} candidate version(s) evaluated` +
+                                      `${duplicated > 0 ? `, ${duplicated} with multiple versions side by side` : ''}).`));
+    return graph;
+}
+
+/**
+ * Downloads, verifies and extracts one resolved library into `installRoot/<name>/<version>`.
+ * Checks the resolved node against its lockfile entry (IPFS hash and integrity) first.
+ * @param {object} node - A resolved node from `resolveDependencyGraph`.
+ * @param {string} installRoot - The root directory where all libraries are installed.
+ * @param {object} context - Install context (see `processInstallation`).
+ * @param {object} progress - The shared progress display from `createInstallProgress`, used for warnings.
+ * @returns {Promise<void>}
+ * @throws Will throw an Error on lockfile drift, integrity mismatch, invalid registry data or download failures.
+ */
+async function installResolvedLibrary(node, installRoot, context, progress) {
+    const { lockfile = null, frozenLockfile = false, offline = false, lockEntries = null, deprecationPolicy = 'prefer' } = context;
+    const { name, version, ipfsHash } = node;
+
+    // Validate required data.
+    if (!ipfsHash || ipfsHash.trim() === '' || ipfsHash.startsWith('0x0000')) { // Check for empty or placeholder hash.
+        throw new Error(`Version ${version} of "${name}" has an invalid or missing IPFS Hash in the registry.`);
+    }
+
+    // The same version must still point at the same content, otherwise the install is not reproducible.
+    const lockedEntry = lockfile ? lockfile.libraries[`${name}@${version}`] || null : null;
+    if (lockedEntry && lockedEntry.ipfsHash !== ipfsHash) {
+        const driftMessage = `${name}@${version} is locked to IPFS hash ${lockedEntry.ipfsHash}, but the registry now reports ${ipfsHash}.`;
+        if (frozenLockfile) {
+            throw new Error(`Lockfile drift: ${driftMessage}`);
+        }
+        progress.log(chalk.yellow(`  -> Warning: ${driftMessage} Updating the lockfile.`));
+    }
+    // Digest to verify against: the one published with the version. Only versions published without one (by
+    // clients or registries that predate published digests) fall back to the digest recorded by an earlier install.
+    const lockedIntegrity = lockedEntry && lockedEntry.ipfsHash === ipfsHash ? lockedEntry.integrity || null : null;
+    if (node.integrity && lockedIntegrity && node.integrity !== lockedIntegrity) {
+        throw new Error(`Integrity mismatch for ${name}@${version}: the registry records ${node.integrity}, ` +
+                        `but ${LOCKFILE_FILENAME} records ${lockedIntegrity}.`);
+    }
+    if (!node.integrity && !lockedIntegrity) {
+        progress.log(chalk.yellow(`  -> Warning: ${name}@${version} was published without an archive digest, so its download ` +
+                                  `cannot be verified. The digest is recorded in ${LOCKFILE_FILENAME} for later installs.`));
+    }
+    if (node.deprecated) {
+        let reason = 'no non-deprecated version fits the dependency graph';
+        if (lockedEntry) reason = `it is pinned by ${LOCKFILE_FILENAME}; "tpkm update ${name}" moves to a non-deprecated version if one fits`;
+        else if (deprecationPolicy === 'allow') reason = '--allow-deprecated was given';
+        progress.log(chalk.yellow(`  -> Warning: Installing deprecated version ${name}@${version} (${reason}).`));
+        if (node.deprecationMessage) progress.log(chalk.yellow(`     Deprecation message: ${node.deprecationMessage}`));
+    }
+
+    // Download the archive from IPFS, verify its digest and extract it.
+    // Example target: ./tpkm_installed_libs/my-lib/1.2.3/
+    const targetPath = path.join(installRoot, name, version);
+    const integrity = await downloadAndExtract(name, version, ipfsHash, targetPath, node.integrity || lockedIntegrity, { quiet: true, offline, log: progress.log });
+
+    if (lockEntries) {
+        lockEntries.set(`${name}@${version}`, {
+            name,
+            version,
+            ipfsHash,
+            integrity,
+            publisher: node.publisher,
+            timestamp: node.timestamp,
+            deprecated: !!node.deprecated,
+            ...(node.deprecationMessage ? { deprecationMessage: node.deprecationMessage } : {}),
+            dependencies: Object.fromEntries(node.dependencies.map(dep => [dep.name, dep.constraint])),
+            resolved: node.resolvedDependencies,
+        });
+    }
+}
+
+/**
+ * Runs an async worker over a list of items with at most `limit` workers in flight.
+ * After the first failure no new items are started; items already running are allowed to finish.
+ * @param {Array<any>} items - The items to process.
+ * @param {number} limit - Maximum number of concurrent workers (at least 1).
+ * @param {function(any): Promise<void>} worker - The async function applied to each item.
+ * @returns {Promise<void>} Resolves when every item succeeded.
+ * @throws The first error thrown by a worker, once all running workers have settled.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    let firstError = null;
+    const lane = async () => {
+        while (queue.length > 0 && !firstError) {
+            const item = queue.shift();
+            try {
+                await worker(item);
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+    if (firstError) throw firstError;
+}
+
+/**
+ * Creates a single aggregated progress display (one ora spinner) for installing many libraries in parallel.
+ * @param {number} total - The number of libraries that will be installed.
+ * @returns {{start: function(string), succeed: function(string), fail: function(string, Error), log: function(string), finish: function()}}
+ * `start`/`succeed`/`fail` track a library label (e.g., "name@version"); `log` prints a line without breaking the
+ * spinner; `finish` prints the final summary line.
+ */
+function createInstallProgress(total) {
+    const spinner = ora({ text: `Installing ${total} libraries...`, color: 'yellow' }).start();
+    const active = new Set();
+    let completed = 0;
+    let failed = 0;
+
+    const render = () => {
+        const running = [...active];
+        const runningText = running.length > 0
+            ? ` | in progress: ${running.slice(0, 3).join(', ')}${running.length > 3 ? ` (+${running.length - 3} more)` : ''}`
+            : '';
+        spinner.text = `Installing libraries: ${completed}/${total} done${failed > 0 ? `, ${failed} failed` : ''}${runningText}`;
+    };
+    const log = (message) => {
+        // Without a TTY ora does not animate, so there is no spinner line to clear and redraw.
+        if (!spinner.isEnabled) {
+            console.log(message);
+            return;
+        }
+        spinner.clear();
+        console.log(message);
+        spinner.render();
+    };
+
+    return {
+        start(label) { active.add(label); render(); },
+        succeed(label) { active.delete(label); completed++; render(); },
+        fail(label, error) {
+            active.delete(label);
+            failed++;
+            log(chalk.red(`  -> ${label} failed: ${error.message}`));
+            if (error.hint) log(chalk.yellow(`  -> ${error.hint}`));
+            render();
+        },
+        log,
+        finish() {
+            if (failed > 0) {
+                spinner.fail(chalk.red(`Installed ${completed}/${total} libraries; ${failed} failed.`));
+            } else {
+                spinner.succeed(chalk.green(`Installed ${completed}/${total} libraries (archives verified and extracted).`));
+            }
+        },
+    };
+}
+
+/**
+ * Writes a dependency mapping file (`tpkm-deps.json`) telling a parent which version of each dependency it
+ * resolved to, and where that version is installed relative to the file. Used by the nested layout, where
+ * several versions of one library may sit side by side under `installRoot/<name>/`.
+ * @param {string} parentDir - The directory of the parent (an installed library, or the install root for the project).
+ * @param {Object<string, string>} resolvedDependencies - Map of dependency name -> resolved version.
+ * @param {string} installRoot - The root directory where all libraries are installed.
+ */
+function writeDependencyMapping(parentDir, resolvedDependencies, installRoot) {
+    const dependencies = {};
+    for (const [name, version] of Object.entries(resolvedDependencies)) {
+        dependencies[name] = {
+            version,
+            path: path.relative(parentDir, path.join(installRoot, name, version)).split(path.sep).join('/'),
+        };
+    }
+    fs.ensureDirSync(parentDir);
+    fs.writeFileSync(path.join(parentDir, DEPENDENCY_MAPPING_FILENAME), JSON.stringify({ dependencies }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Lists the library versions installed under an install root (`installRoot/<name>/<version>` directories).
+ * @param {string} installRoot - The root directory where libraries are installed.
+ * @returns {Array<{name: string, version: string, path: string}>} The installed library versions.
+ */
+function listInstalledLibraries(installRoot) {
+    if (!fs.existsSync(installRoot)) return [];
+    const installed = [];
+    for (const nameEntry of fs.readdirSync(installRoot, { withFileTypes: true })) {
+        if (!nameEntry.isDirectory()) continue; // e.g., the project's tpkm-deps.json
+        const nameDir = path.join(installRoot, nameEntry.name);
+        for (const versionEntry of fs.readdirSync(nameDir, { withFileTypes: true })) {
+            if (versionEntry.isDirectory()) {
+                installed.push({ name: nameEntry.name, version: versionEntry.name, path: path.join(nameDir, versionEntry.name) });
+            }
+        }
+    }
+    return installed;
+}
+
+/**
+ * Deletes installed library versions that are not in the given set, and library directories left empty.
+ * @param {string} installRoot - The root directory where libraries are installed.
+ * @param {Set<string>} keep - "name@version" keys of the versions to keep.
+ * @param {object} [options={}] - Options.
+ * @param {boolean} [options.dryRun=false] - If true, nothing is deleted; the versions that would be removed are returned.
+ * @returns {string[]} The "name@version" keys of the removed (or, in a dry run, removable) versions.
+ */
+function pruneInstalledLibraries(installRoot, keep, options = {}) {
+    const removed = [];
+    for (const { name, version, path: versionPath } of listInstalledLibraries(installRoot)) {
+        if (keep.has(`${name}@${version}`)) continue;
+        removed.push(`${name}@${version}`);
+        if (!options.dryRun) {
+            fs.removeSync(versionPath);
+            const nameDir = path.dirname(versionPath);
+            if (fs.readdirSync(nameDir).length === 0) fs.removeSync(nameDir);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Moves staged library versions (and files such as the root `tpkm-deps.json`) into the install root, replacing
+ * existing copies. Replaced copies are set aside first; if any move fails, the moved-in copies are removed and the
+ * replaced ones restored, so the install root is left as it was.
+ * @param {string} stagingRoot - The staging directory holding the new copies.
+ * @param {string} installRoot - The root directory where libraries are installed.
+ * @param {string[]} relativePaths - Paths to move, relative to both roots (e.g., "my-lib/1.2.3").
+ * @throws Will throw an Error if the move failed. The message says whether the previous state was restored.
+ */
+function commitStagedInstall(stagingRoot, installRoot, relativePaths) {
+    const backupRoot = `${stagingRoot}-previous`;
+    const moved = []; // { relativePath, replaced } in the order they were moved in.
+    let keepBackup = false;
+    try {
+        for (const relativePath of relativePaths) {
+            const targetPath = path.join(installRoot, relativePath);
+            const replaced = fs.existsSync(targetPath);
+            if (replaced) {
+                fs.moveSync(targetPath, path.join(backupRoot, relativePath));
+            }
+            moved.push({ relativePath, replaced });
+            fs.moveSync(path.join(stagingRoot, relativePath), targetPath);
+        }
+    } catch (moveError) {
+        try {
+            for (const { relativePath, replaced } of moved.reverse()) {
+                const targetPath = path.join(installRoot, relativePath);
+                const parentDir = path.dirname(targetPath);
+                if (fs.existsSync(targetPath)) fs.removeSync(targetPath); // Absent if this was the move that failed.
+                if (replaced) {
+                    fs.moveSync(path.join(backupRoot, relativePath), targetPath);
+                } else if (parentDir !== installRoot && fs.existsSync(parentDir) && fs.statSync(parentDir).isDirectory() &&
+                           fs.readdirSync(parentDir).length === 0) {
+                    fs.removeSync(parentDir); // The library directory was created by this install.
+                }
+            }
+        } catch (restoreError) {
+            keepBackup = true;
+            throw new Error(`Could not move the installed libraries into ${installRoot} (${moveError.message}), ` +
+                            `and restoring the previous versions failed (${restoreError.message}). They are kept in ${backupRoot}.`);
+        }
+        throw new Error(`Could not move the installed libraries into ${installRoot}: ${moveError.message}. The previous installation was restored.`);
+    } finally {
+        if (!keepBackup) fs.removeSync(backupRoot);
+    }
+}
+
+/**
+ * Installs a set of top-level dependencies and everything they depend on.
+ * The whole graph is resolved first (see `resolveDependencyGraph`), so nothing is downloaded unless
+ * a consistent set of versions exists. The resolved libraries are then downloaded, verified and extracted
+ * in parallel (up to `context.concurrency` at a time) behind a single progress display.
+ * Extraction happens in a staging directory next to `installRoot`; the libraries are moved into place only once
+ * every one of them has installed, so a failure part-way leaves the previous installation untouched.
+ *
+ * @param {Array<{name: string, constraint: string}>} rootDependencies - The top-level libraries and their
+ * semantic version constraints (e.g., "^1.0.0", "1.2.3", ">=2.0.0 <3.0.0").
+ * @param {string} installRoot - The root directory where all libraries will be installed (e.g., `tpkm_installed_libs`).
+ * Libraries are placed in `installRoot/<libraryName>/<versionString>`.
+ * @param {object} [context={}] - Lockfile state shared by the current install run.
+ * @param {object|null} [context.lockfile] - The existing lockfile. Locked versions are preferred over newer matches.
+ * @param {boolean} [context.frozenLockfile] - If true, any resolution that differs from the lockfile throws instead.
+ * @param {boolean} [context.nested] - If true, use the nested layout: incompatible versions are installed side by side
+ * and every parent gets a `tpkm-deps.json` mapping file.
+ * @param {number} [context.concurrency] - Maximum number of archives downloaded and extracted at the same time.
+ * @param {boolean} [context.offline] - If true, versions are resolved from the lockfile only and archives are taken
+ * from the local cache; nothing is extracted unless every resolved archive is cached.
+ * @param {true|Set<string>|null} [context.unlocked] - Libraries to re-resolve regardless of their locked versions
+ * (`true` for all), as done by `tpkm update`. Locked digests are still checked for versions that stay the same.
+ * @param {'prefer'|'strict'|'allow'} [context.deprecationPolicy] - How deprecated versions are treated during
+ * resolution (see `getDeprecationPolicy`).
+ * @param {boolean} [context.includePrerelease] - Whether ranges may match pre-release versions.
+ * @param {object|null} [context.metadataIndex] - A synced metadata index (see `openMetadataIndex`) used to answer
+ * registry reads; null reads everything from the contract.
+ * @param {Map<string, object>} [context.lockEntries] - Receives a lockfile entry (keyed by "name@version") for every
+ * library installed in this run.
+ * @returns {Promise<{rootDependencies: Object<string, string>, libraries: Map<string, object>}>} The resolved graph.
+ * @throws Will throw an Error for version conflicts, lockfile drift, libraries/versions missing from the registry,
+ * or IPFS download/verification/extraction failures.
+ */
+async function processInstallation(rootDependencies, installRoot, context = {}) {
+    const reader = context.offline
+        ? createLockfileReader(context.lockfile)
+        : createRegistryReader({ metadataIndex: context.metadataIndex || null });
+    const graph = await resolveDependencyGraph(rootDependencies, {
+        reader,
+        lockfile: context.lockfile || null,
+        frozenLockfile: !!context.frozenLockfile,
+        nested: !!context.nested,
+        unlocked: context.unlocked || null,
+        deprecationPolicy: context.deprecationPolicy || 'prefer',
+        includePrerelease: !!context.includePrerelease,
+    });
+
+    const nodes = [...graph.libraries.values()];
+    if (context.offline) {
+        // Report everything that is missing at once, before touching the install directory.
+        const missing = nodes.filter(node => !readCacheEntry(node.ipfsHash));
+        if (missing.length > 0) {
+            throw new Error(`Cannot install offline: ${missing.length} archive(s) are not in the local cache (${archiveCacheDir}):\n` +
+                            missing.map(node => `    - ${node.name}@${node.version} (CID ${node.ipfsHash})`).join('\n'));
+        }
+    }
+    const stagingRoot = path.join(path.dirname(installRoot), `${INSTALL_STAGING_PREFIX}${process.pid}`);
+    fs.removeSync(stagingRoot); // Left over by an earlier run of this process id that was interrupted.
+    try {
+        const progress = createInstallProgress(nodes.length);
+        try {
+            await runWithConcurrency(nodes, context.concurrency || DEFAULT_INSTALL_CONCURRENCY, async (node) => {
+                const label = `${node.name}@${node.version}`;
+                progress.start(label);
+                try {
+                    await installResolvedLibrary(node, stagingRoot, context, progress);
+                    progress.succeed(label);
+                } catch (error) {
+                    progress.fail(label, error);
+                    throw error;
+                }
+            });
+        } finally {
+            progress.finish();
+        }
+
+        const stagedPaths = nodes.map(node => path.join(node.name, node.version));
+        if (context.nested) {
+            // Tell every parent which copy of each dependency it resolved to. The staging directory mirrors the
+            // install root, so the relative paths in the mapping files stay valid after the move.
+            writeDependencyMapping(stagingRoot, graph.rootDependencies, stagingRoot);
+            for (const node of graph.libraries.values()) {
+                writeDependencyMapping(path.join(stagingRoot, node.name, node.version), node.resolvedDependencies, stagingRoot);
+            }
+            stagedPaths.push(DEPENDENCY_MAPPING_FILENAME);
+        }
+        commitStagedInstall(stagingRoot, installRoot, stagedPaths);
+        if (context.nested) {
+            console.log(chalk.gray(`Dependency mapping files (${DEPENDENCY_MAPPING_FILENAME}) written for ${graph.libraries.size + 1} parent(s).`));
+        }
+    } finally {
+        fs.removeSync(stagingRoot);
+    }
+    return graph;
+}
+
+
+// --- Dependency Graph Inspection Helper Functions ---
+
+const MAX_WHY_PATHS = 50; // `tpkm why` stops listing after this many paths; shared subgraphs can multiply them quickly.
+
+/**
+ * Determines what `tpkm tree` / `tpkm why` inspect: one library (given as "name@versionOrRange") or,
+ * without an identifier, the project in `projectDir` (its declared and locked top-level dependencies).
+ * @param {string|undefined} libraryIdentifier - Optional "name@versionOrRange".
+ * @param {string} projectDir - The project directory.
+ * @returns {{rootDependencies: Array<{name: string, constraint: string}>, rootLabel: string, lockfile: object|null,
+ * projectConfig: object|null}}
+ * @throws Will throw an Error for an invalid identifier, or when there is no project to inspect.
+ */
+function getInspectionRoots(libraryIdentifier, projectDir) {
+    if (libraryIdentifier) {
+        const match = libraryIdentifier.match(/^([^@]+)@(.+)$/);
+        if (!match || !semver.validRange(match[2])) {
+            throw new Error(`Invalid library identifier "${libraryIdentifier}". Use "libraryName@version" or "libraryName@range".`);
+        }
+        return { rootDependencies: [{ name: match[1], constraint: match[2] }], rootLabel: libraryIdentifier, lockfile: null, projectConfig: null };
+    }
+    const projectConfig = loadProjectConfig(projectDir);
+    const lockfile = loadLockfile(projectDir);
+    const rootDependencies = getProjectRootDependencies(projectConfig, lockfile);
+    if (!projectConfig && !lockfile) {
+        throw new Error(`No '${PROJECT_CONFIG_FILENAME}' or '${LOCKFILE_FILENAME}' found in ${projectDir}. Pass a library as "name@version".`);
+    }
+    const rootLabel = projectConfig && projectConfig.name
+        ? `${projectConfig.name}${projectConfig.version ? `@${projectConfig.version}` : ''} (project)`
+        : '(project)';
+    return { rootDependencies, rootLabel, lockfile, projectConfig };
+}
+
+/**
+ * Builds a printable dependency tree from the on-chain `dependencies` arrays.
+ * With a resolved graph, every edge points at the version the resolver chose. Without one (e.g., when
+ * resolution failed), every edge independently takes the highest version satisfying its own constraint,
+ * and libraries that end up with several different versions are marked as conflicting.
+ * A library version that was already printed is marked `deduped` instead of being expanded again.
+ * @param {Array<{name: string, constraint: string}>} rootDependencies - The top-level dependencies.
+ * @param {object} options - Options.
+ * @param {object} options.reader - A registry reader from `createRegistryReader`.
+ * @param {object|null} [options.graph=null] - A resolved graph from `resolveDependencyGraph`.
+ * @param {number} [options.maxDepth=Infinity] - Levels to expand (1 = top-level dependencies only).
+ * @param {boolean} [options.includePrerelease=false] - Whether ranges may match pre-release versions (unresolved trees).
+ * @returns {Promise<Array<object>>} Tree nodes: { name, constraint, version, deprecated, dependencies: [...] }
+ * plus the optional flags `deduped`, `circular`, `truncated`, `unsatisfied` and `conflict`.
+ */
+async function buildDependencyTree(rootDependencies, options) {
+    const { reader, graph = null, maxDepth = Infinity, includePrerelease = false } = options;
+    const expanded = new Set(); // "name@version" keys already printed with their children.
+    const versionsByName = new Map(); // name -> Set of versions, to spot conflicts in unresolved trees.
+
+    const pickVersion = async (name, constraint, resolvedVersion) => {
+        if (graph) return resolvedVersion || null;
+        const available = await reader.getVersionNumbers(name);
+        return semver.maxSatisfying(available, constraint, { includePrerelease });
+    };
+
+    const buildNode = async (name, constraint, resolvedVersion, ancestors, depth) => {
+        const version = await pickVersion(name, constraint, resolvedVersion);
+        const node = { name, constraint, version, deprecated: false, dependencies: [] };
+        if (!version) {
+            node.unsatisfied = true;
+            return node;
+        }
+        if (!versionsByName.has(name)) versionsByName.set(name, new Set());
+        versionsByName.get(name).add(version);
+
+        const key = `${name}@${version}`;
+        const versionInfo = await reader.getVersionInfo(name, version);
+        node.deprecated = !!versionInfo.deprecated;
+        if (ancestors.includes(key)) {
+            node.circular = true;
+        } else if (expanded.has(key) && versionInfo.dependencies.length > 0) {
+            node.deduped = true;
+        } else if (depth >= maxDepth) {
+            node.truncated = versionInfo.dependencies.length > 0;
+        } else {
+            expanded.add(key);
+            const resolved = graph && graph.libraries.get(key) ? graph.libraries.get(key).resolvedDependencies : {};
+            for (const dep of versionInfo.dependencies) {
+                node.dependencies.push(await buildNode(dep.name, dep.constraint, resolved[dep.name], [...ancestors, key], depth + 1));
+            }
+        }
+        return node;
+    };
+
+    const tree = [];
+    for (const dep of rootDependencies) {
+        tree.push(await buildNode(dep.name, dep.constraint, graph ? graph.rootDependencies[dep.name] : null, [], 1));
+    }
+    if (!graph) {
+        const markConflicts = (nodes) => nodes.forEach(node => {
+            if (versionsByName.has(node.name) && versionsByName.get(node.name).size > 1) node.conflict = true;
+            markConflicts(node.dependencies);
+        });
+        markConflicts(tree);
+    }
+    return tree;
+}
+
+/**
+ * Renders tree nodes from `buildDependencyTree` as indented lines with box-drawing connectors.
+ * @param {Array<object>} nodes - The tree nodes.
+ * @param {string} [prefix=''] - The indentation inherited from the parent.
+ * @returns {string[]} The lines to print.
+ */
+function renderDependencyTree(nodes, prefix = '') {
+    const lines = [];
+    nodes.forEach((node, index) => {
+        const last = index === nodes.length - 1;
+        let label = node.version
+            ? `${chalk.whiteBright(node.name)}@${node.version} ${chalk.gray(`(${node.constraint})`)}`
+            : `${chalk.whiteBright(node.name)} ${chalk.red(`(no version satisfies ${node.constraint})`)}`;
+        if (node.deprecated) label += chalk.red(' deprecated');
+        if (node.conflict) label += chalk.red.bold(' CONFLICT');
+        if (node.deduped) label += chalk.gray(' (deduped)');
+        if (node.circular) label += chalk.yellow(' (circular)');
+        if (node.truncated) label += chalk.gray(' ...');
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${label}`);
+        lines.push(...renderDependencyTree(node.dependencies, `${prefix}${last ? '    ' : '│   '}`));
+    });
+    return lines;
+}
+
+/**
+ * Finds every path through a resolved graph that leads to a library.
+ * @param {object} graph - A resolved graph from `resolveDependencyGraph`.
+ * @param {Array<{name: string, constraint: string}>} rootDependencies - The top-level dependencies.
+ * @param {string} targetName - The library to look for.
+ * @returns {{paths: Array<{chain: string[], name: string, constraint: string, version: string}>, truncated: boolean}}
+ * Each path is the chain of "name@version" parents plus the requirement that pulls the target in.
+ */
+function findDependencyPaths(graph, rootDependencies, targetName) {
+    const paths = [];
+    let truncated = false;
+    const visit = (name, constraint, version, chain) => {
+        if (paths.length >= MAX_WHY_PATHS) {
+            truncated = true;
+            return;
+        }
+        if (name === targetName) {
+            paths.push({ chain, name, constraint, version });
+            return;
+        }
+        const key = `${name}@${version}`;
+        const node = graph.libraries.get(key);
+        if (!node || chain.includes(key)) return;
+        for (const dep of node.dependencies) {
+            visit(dep.name, dep.constraint, node.resolvedDependencies[dep.name], [...chain, key]);
+        }
+    };
+    rootDependencies.forEach(dep => visit(dep.name, dep.constraint, graph.rootDependencies[dep.name], []));
+    return { paths, truncated };
+}
+
+// --- Error Handling Helper ---
+
+/**
+ * Attempts to extract a more human-readable revert reason from an Ethereum transaction error object,
+ * especially from errors returned by `ethers.js` contract calls.
+ * It checks various properties where revert reasons might be stored and maps known
+ * contract-specific error strings (like those from LibraryRegistry.sol) to user-friendly messages.
+ *
+ * @param {Error | any} error - The error object caught from an ethers.js call or other operation.
+ * @returns {string} A user-friendly error message, the decoded revert reason, or a generic error message
+ * if a specific reason cannot be reliably extracted.
+ */
+function getRevertReason(error) {
+    let specificReason = null;
+
+    // Ensure error is an object before accessing properties.
+    if (!error || typeof error !== 'object') {
+        return String(error) || "An unknown error occurred.";
+    }
+
+    // Strategy 1: Ethers v6+ standard `error.reason` (most common for simple reverts).
+    if (typeof error.reason === 'string') {
+        specificReason = error.reason;
+    }
+    // Strategy 2: Check `error.revert.args` (common in older ethers or specific frameworks).
+    else if (error.revert && Array.isArray(error.revert.args) && error.revert.args.length > 0 && typeof error.revert.args[0] === 'string') {
+        specificReason = error.revert.args[0];
+    }
+    // Strategy 3: Attempt to parse `error.data` using the contract ABI (for custom errors or requires).
+    // Requires `registryAbi` to be loaded.
+    else if (error.data && registryAbi) {
+        try {
+            const iface = new ethers.Interface(registryAbi);
+            const parsedError = iface.parseError(error.data);
+            if (parsedError) {
+                // Handle standard `require` revert: Error(string)
+                if (parsedError.name === "Error" && parsedError.args && typeof parsedError.args[0] === 'string') {
+                    specificReason = parsedError.args[0];
+                }
+                // Handle custom errors: CustomErrorName(arg1, arg2)
+                else {
+                    specificReason = `${parsedError.name}(${parsedError.args.join(', ')})`;
+                }
+            }
+        } catch (parseE) {
+            // Ignore ABI parsing errors if `error.data` doesn't match a known error signature.
+            if (process.env.DEBUG) console.warn(chalk.yellow("Could not parse error data using ABI:"), parseE.message);
+        }
+    }
+     // Strategy 4: Look for error message within nested 'error' objects (sometimes seen with provider errors)
+    else if (error.error && typeof error.error.message === 'string') {
+         specificReason = error.error.message;
+         // Often includes prefixes like "execution reverted: ", try to clean it up.
+         if (specificReason.startsWith('execution reverted: ')) {
+             specificReason = specificReason.substring('execution reverted: '.length);
+         }
+    }
+
+    // Fallback to the main error message if no specific reason was extracted.
+    let displayMessage = specificReason || error.message || "An unknown transaction error occurred.";
+
+    // Map known LibraryRegistry contract revert strings (or parts of them) to friendlier messages.
+    // Use the most specific reason found, or the full message for matching.
+    const reasonToMatch = (specificReason || error.message || "").toLowerCase(); // Case-insensitive matching is safer.
+
+    // --- LibraryRegistry Specific Error Mappings ---
+    if (reasonToMatch.includes('libraryregistry: library does not exist')) {
+        displayMessage = `Library not found in the registry. Check the spelling or register it first.`;
+    } else if (reasonToMatch.includes('libraryregistry: version does not exist')) {
+        displayMessage = `Version not found for this library. Use 'tpkm info <libraryName> --versions' to list available versions.`;
+    } else if (reasonToMatch.includes('libraryregistry: caller is not the owner')) {
+        displayMessage = `Permission Denied: Your wallet address is not the owner of this library or record.`;
+    } else if (reasonToMatch.includes('libraryregistry: library name already exists')) {
+        displayMessage = `Library name is already registered. Please choose a unique name.`;
+    } else if (reasonToMatch.includes('libraryregistry: version already exists')) {
+        displayMessage = `This version has already been published for this library. Please increment the version number.`;
+    } else if (reasonToMatch.includes('libraryregistry: ipfs hash cannot be empty')) {
+        displayMessage = `The IPFS hash cannot be empty. Ensure the package was uploaded to IPFS correctly before publishing.`;
+    } else if (reasonToMatch.includes('libraryregistry: library is not private')) {
+        displayMessage = `Operation Failed: This action is only applicable to private libraries, but the target library is public.`;
+    } else if (reasonToMatch.includes('libraryregistry: invalid user address')) {
+        displayMessage = `Invalid user address provided (e.g., it might be the zero address 0x0...).`;
+    } else if (reasonToMatch.includes('libraryregistry: cannot delete library with published versions')) {
+        displayMessage = `Deletion Failed: Cannot delete a library that still has published versions. Deprecate or manage versions first.`;
+    } else if (reasonToMatch.includes('libraryregistry: user not authorized')) {
+        displayMessage = `Access Denied: The specified user is not authorized to access this private library.`;
+    } else if (reasonToMatch.includes('libraryregistry: user already authorized')) {
+         displayMessage = `User is already authorized for this library. No action needed.`;
+    } else if (reasonToMatch.includes('libraryregistry: cannot authorize owner')) {
+         displayMessage = `Cannot explicitly authorize the library owner; owners always have access.`;
+    } else if (reasonToMatch.includes('libraryregistry: cannot revoke owner')) {
+         displayMessage = `Cannot revoke access for the library owner.`;
+    }
+    // --- End LibraryRegistry Specific ---
+
+    // --- General Ethereum / Provider Error Mappings ---
+    if (reasonToMatch.includes('insufficient funds')) {
+        displayMessage = `Insufficient funds in your wallet to pay for the transaction gas fees.`;
+    } else if (reasonToMatch.includes('nonce too low') || reasonToMatch.includes('replacement transaction underpriced')) {
+        displayMessage = `Nonce error or transaction underpriced. Try the operation again, possibly with a higher gas price if manually set.`;
+    } else if (reasonToMatch.includes('user denied transaction signature')) {
+        displayMessage = `Transaction was rejected or cancelled by the user in their wallet software.`;
+    }
+
+    // --- IPFS Specific Error Mappings (from download/upload helpers) ---
+    if (error.code === 'ERR_BAD_REQUEST' && reasonToMatch.includes('dag node not found')) {
+        displayMessage = `IPFS content not found (DAG node not found). The requested CID may not be available or pinned on the network.`;
+    }
+
+    // Final cleanup: If the message is still very technical or an object, return the most specific string part.
+    if (typeof displayMessage !== 'string') {
+        return specificReason || error.message || "Transaction reverted or failed with an unspecified error.";
+    }
+    // Remove common prefixes if they weren't caught earlier.
+    if (displayMessage.startsWith('execution reverted: ')) {
+        displayMessage = displayMessage.substring('execution reverted: '.length);
+    }
+    if (displayMessage.startsWith('Error: ')) {
+         displayMessage = displayMessage.substring('Error: '.length);
+    }
+
+    return displayMessage.trim(); // Return the cleaned-up, user-friendly message.
+}
+
+
+// =============================================================================
+// --- CLI Command Definitions ---
+// =============================================================================
+
+program
+    .name('tpkm')
+    .description('Taco Package Manager CLI - A decentralized package manager using IPFS and Ethereum.')
+    .version('0.1.0'); // Update version as the tool evolves.
+
+// --- Config Subcommands (tpkm config ...) ---
+// Manages network configuration profiles stored in ~/.tacopkm/networks.json.
+const configCommand = program.command('config')
+    .description('Manage TPKM network configurations (RPC URL, Contract Address).');
+
+/**
+ * Command: tpkm config add <name>
+ * Adds or updates a named network profile (RPC URL, Contract Address).
+ */
+configCommand
+    .command('add <name>')
+    .description('Add or update a network configuration profile.')
     .option('-r, --rpc <url>', 'RPC URL for the network (e.g., https://...)')
     .option('-c, --contract <address>', 'Deployed LibraryRegistry contract address on this network (e.g., 0x...)')
     .option('-s, --set-active', 'Set this network as the active one after adding/updating')
@@ -1133,6 +3485,108 @@ walletCommand
     });
 
 
+// --- Cache Management Commands (tpkm cache ...) ---
+// Manages the local archive cache (~/.tacopkm/cache) used by `tpkm install`.
+const cacheCommand = program.command('cache')
+    .description('Manage the local cache of downloaded library archives (~/.tacopkm/cache).');
+
+/**
+ * Command: tpkm cache ls
+ * Lists the cached archives with their size, digest and the libraries that use them.
+ */
+cacheCommand
+    .command('ls')
+    .alias('list')
+    .description('List cached archives.')
+    .action(() => {
+        const cids = listCachedCids();
+        console.log(chalk.cyan.bold(`--- Archive Cache (${archiveCacheDir}) ---`));
+        if (cids.length === 0) {
+            console.log(chalk.gray('The cache is empty.'));
+            return;
+        }
+
+        const table = new Table({
+            head: [chalk.cyan('CID'), chalk.cyan('Size'), chalk.cyan('Libraries'), chalk.cyan('Cached At')],
+            wordWrap: true,
+        });
+        let totalBytes = 0;
+        for (const cid of cids) {
+            const entry = readCacheEntry(cid);
+            if (!entry) {
+                table.push([cid, '-', chalk.yellow('(incomplete entry, run "tpkm cache verify")'), '-']);
+                continue;
+            }
+            totalBytes += entry.size || 0;
+            table.push([cid, formatBytes(entry.size || 0), (entry.libraries || []).join('\n'), entry.cachedAt ? new Date(entry.cachedAt).toLocaleString() : '-']);
+        }
+        console.log(table.toString());
+        console.log(chalk.blue(`${cids.length} archive(s), ${formatBytes(totalBytes)} total.`));
+    });
+
+/**
+ * Command: tpkm cache verify
+ * Recomputes the SHA-256 digest of every cached archive and removes entries that no longer match.
+ */
+cacheCommand
+    .command('verify')
+    .description('Check every cached archive against its recorded SHA-256 digest and remove corrupted entries.')
+    .action(async () => {
+        const cids = listCachedCids();
+        if (cids.length === 0) {
+            console.log(chalk.gray('The cache is empty. Nothing to verify.'));
+            return;
+        }
+
+        const verifySpinner = ora({ text: `Verifying ${cids.length} cached archive(s)...`, color: 'yellow' }).start();
+        const removed = [];
+        for (const cid of cids) {
+            const entry = readCacheEntry(cid);
+            let reason = null;
+            if (!entry) {
+                reason = 'archive or metadata missing';
+            } else {
+                const integrity = await computeFileIntegrity(entry.archivePath);
+                if (integrity !== entry.integrity) reason = `expected ${entry.integrity}, got ${integrity}`;
+            }
+            if (reason) {
+                removeCacheEntry(cid);
+                removed.push({ cid, reason });
+            }
+        }
+
+        if (removed.length === 0) {
+            verifySpinner.succeed(chalk.green(`All ${cids.length} cached archive(s) match their recorded digests.`));
+            return;
+        }
+        verifySpinner.warn(chalk.yellow(`Removed ${removed.length} of ${cids.length} cached archive(s):`));
+        removed.forEach(({ cid, reason }) => console.log(chalk.yellow(`  - ${cid}: ${reason}`)));
+        console.log(chalk.gray('They will be downloaded again by the next install that needs them.'));
+    });
+
+/**
+ * Command: tpkm cache clean [cid]
+ * Removes one cached archive, or the whole cache.
+ */
+cacheCommand
+    .command('clean [cid]')
+    .description('Remove a single archive (by CID) or everything from the cache.')
+    .action((cid) => {
+        if (cid) {
+            if (!listCachedCids().includes(cid)) {
+                console.error(chalk.red(`Error: CID "${cid}" is not in the cache.`));
+                return;
+            }
+            removeCacheEntry(cid);
+            console.log(chalk.green(`Removed ${cid} from the cache.`));
+            return;
+        }
+        const count = listCachedCids().length;
+        fs.removeSync(archiveCacheDir);
+        console.log(chalk.green(`Cache cleared (${count} archive(s) removed from ${archiveCacheDir}).`));
+    });
+
+
 // --- Library Management Commands (tpkm register, publish, install, etc.) ---
 
 /**
@@ -1217,46 +3671,45 @@ program
 /**
  * Command: tpkm info <libraryIdentifier>
  * Fetches and displays information about a registered library or a specific version.
- * Identifier format: "libraryName" or "libraryName@version".
+ * Identifier format: "libraryName", or "libraryName@<version|range|dist-tag>" for the details of one version.
  */
 program
     .command('info <libraryIdentifier>')
-    .description('Get info about a library or a specific version (e.g., "my-lib" or "my-lib@1.0.0").')
+    .description('Get info about a library or a specific version (e.g., "my-lib", "my-lib@1.0.0", "my-lib@^1.2" or "my-lib@latest").')
     .option('--versions', 'List all published versions for the library.') // Flag to list versions.
+    .option('--include-prerelease', 'Let a version range match pre-release versions (also "includePrerelease": true in lib.config.json)')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
     .action(async (libraryIdentifier, options) => {
         await ensureNetworkClientsInitialized(); // Need read-only contract access.
 
-        let libraryName = libraryIdentifier;
-        let versionString = null;
-        const querySpecificVersion = libraryIdentifier.includes('@');
-        const listAllVersions = options.versions; // Check if --versions flag was used.
-
-        // Parse identifier if version is included.
-        if (querySpecificVersion) {
-            const parts = libraryIdentifier.split('@');
-            if (parts.length !== 2 || !parts[0] || !parts[1]) {
-                console.error(chalk.red('Invalid format. Use "libraryName" or "libraryName@version".'));
-                return;
-            }
-            libraryName = parts[0];
-            versionString = parts[1];
-            // Validate the version part looks like a semantic version.
-            if (!semver.valid(versionString)) {
-                console.error(chalk.red(`Invalid version format: "${versionString}". Use semantic versioning (e.g., 1.0.0).`));
-                return;
-            }
+        let parsedIdentifier;
+        try {
+            parsedIdentifier = parseLibraryIdentifier(libraryIdentifier);
+        } catch (parseError) {
+            console.error(chalk.red(parseError.message));
+            return;
         }
+        let projectConfig;
+        try {
+            projectConfig = loadProjectConfig(process.cwd()); // Only consulted for "includePrerelease".
+        } catch (loadError) {
+            console.error(chalk.red(loadError.message));
+            return;
+        }
+        const libraryName = parsedIdentifier.name;
+        let versionString = null; // Resolved below when a version, range or tag was given.
+        const querySpecificVersion = !parsedIdentifier.implicit;
+        const listAllVersions = options.versions; // Check if --versions flag was used.
 
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
         const infoSpinner = ora({ text: `Fetching information for "${libraryIdentifier}"...`, color: 'yellow' }).start();
         try {
             // 1. Fetch and display general library information.
             infoSpinner.text = `Fetching general info for "${libraryName}"...`;
-            // Assumes getLibraryInfo returns: [owner, description, tags, isPrivate, language]
-            const libInfo = await contractReadOnly.getLibraryInfo(libraryName);
+            const { owner, description, tags, isPrivate, language } = await reader.getLibraryInfo(libraryName);
             infoSpinner.succeed(chalk.green(`Workspaceed info for "${libraryName}".`));
 
-            const [owner, description, tags, isPrivate, language] = libInfo;
-
             console.log(chalk.cyan.bold(`\n--- Library Info: ${libraryName} ---`));
             const basicInfoTable = new Table({
                  chars: { 'top': '', 'top-mid': '', 'top-left': '', 'top-right': '', 'bottom': '', 'bottom-mid': '', 'bottom-left': '', 'bottom-right': '', 'left': '  ', 'right': '', 'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': '' }, // No borders, key-value style.
@@ -1269,25 +3722,33 @@ program
                 { [chalk.whiteBright('Tags')]: tags.length > 0 ? tags.join(', ') : chalk.gray('(None)') },
                 { [chalk.whiteBright('Visibility')]: isPrivate ? chalk.yellow('Private') : chalk.green('Public') }
             );
+            // Dist-tags are optional; if they cannot be read, the section is left out.
+            const distTags = await reader.getDistTags(libraryName).then(result => result.tags, () => ({}));
+            if (Object.keys(distTags).length > 0) {
+                basicInfoTable.push({ [chalk.whiteBright('Dist-Tags')]: Object.entries(distTags).map(([tag, version]) => `${tag}: ${version}`).join(', ') });
+            }
             console.log(basicInfoTable.toString());
 
             // 2. If --versions flag is used or if only the library name was given (implying a general query), list versions.
             if (listAllVersions || (!querySpecificVersion && !versionString)) {
                  const versionSpinner = ora({ text: `Fetching published versions for ${libraryName}...`, color: 'gray' }).start();
                  try {
-                     const versions = await contractReadOnly.getVersionNumbers(libraryName);
+                     const versions = await reader.getVersionNumbers(libraryName);
                      if (versions && versions.length > 0) {
-                         // Sort versions semantically (highest first).
-                         const sortedVersions = versions.sort(semver.rcompare);
+                         // Stable and pre-release versions are listed separately, each highest first.
+                         const channels = splitReleaseChannels(versions);
                          versionSpinner.succeed(chalk.green(`Found ${versions.length} published version(s).`));
 
-                         console.log(chalk.cyan.bold(`\n--- Published Versions (${versions.length}) ---`));
-                         const versionsTable = new Table({
-                             head: [chalk.cyan('Version')],
-                             colWidths: [30],
+                         [['Stable Versions', channels.stable], ['Pre-release Versions', channels.prerelease]].forEach(([title, channelVersions]) => {
+                             if (channelVersions.length === 0) return;
+                             console.log(chalk.cyan.bold(`\n--- ${title} (${channelVersions.length}) ---`));
+                             const versionsTable = new Table({
+                                 head: [chalk.cyan('Version')],
+                                 colWidths: [30],
+                             });
+                             channelVersions.forEach(v => versionsTable.push([v]));
+                             console.log(versionsTable.toString());
                          });
-                         sortedVersions.forEach(v => versionsTable.push([v]));
-                         console.log(versionsTable.toString());
 
                      } else {
                          versionSpinner.info(chalk.gray('No versions published yet for this library.'));
@@ -1299,15 +3760,15 @@ program
             }
 
             // 3. If a specific version was requested, display its details.
-            if (querySpecificVersion && versionString) {
-                 const versionDetailSpinner = ora({ text: `Fetching details for ${libraryName}@${versionString}...`, color: 'gray' }).start();
+            if (querySpecificVersion) {
+                 const versionDetailSpinner = ora({ text: `Fetching details for ${libraryIdentifier}...`, color: 'gray' }).start();
                 try {
-                    // Assumes getVersionInfo returns: [ipfsHash, publisher, timestamp, deprecated, dependencies]
-                    const versionData = await contractReadOnly.getVersionInfo(libraryName, versionString);
+                    versionString = await resolveVersionSpecifier(reader, parsedIdentifier, { includePrerelease: shouldIncludePrerelease(options, projectConfig) });
+                    const versionData = await reader.getVersionInfo(libraryName, versionString);
                     versionDetailSpinner.succeed(chalk.green(`Workspaceed details for ${libraryName}@${versionString}.`));
 
-                    const [ipfsHash, publisher, timestamp, deprecated, dependencies] = versionData;
-                    // Convert BigInt timestamp from contract (seconds since epoch) to a Date object.
+                    const { ipfsHash, integrity, publisher, timestamp, deprecated, deprecationMessage, dependencies } = versionData;
+                    // Convert the timestamp (seconds since epoch) to a Date object.
                     const publishDate = new Date(Number(timestamp) * 1000);
 
                     console.log(chalk.cyan.bold(`\n--- Version Info: ${libraryName}@${versionString} ---`));
@@ -1317,10 +3778,14 @@ program
                     });
                     versionDetailsTable.push(
                         { [chalk.whiteBright('IPFS Hash (CID)')]: ipfsHash },
+                        { [chalk.whiteBright('Integrity')]: integrity || chalk.gray('(Not published)') },
                         { [chalk.whiteBright('Publisher')]: publisher },
                         { [chalk.whiteBright('Published')]: `${publishDate.toLocaleString()} (${timestamp.toString()}s)` },
                         { [chalk.whiteBright('Deprecated')]: deprecated ? chalk.red.bold('Yes') : 'No' }
                     );
+                    if (deprecated && deprecationMessage) {
+                        versionDetailsTable.push({ [chalk.whiteBright('Deprecation Message')]: chalk.red(deprecationMessage) });
+                    }
                     console.log(versionDetailsTable.toString());
 
                     // Display Dependencies, if any.
@@ -1338,7 +3803,7 @@ program
                     }
 
                 } catch (versionError) {
-                     versionDetailSpinner.fail(chalk.red(`Error fetching details for version ${versionString}:`));
+                     versionDetailSpinner.fail(chalk.red(`Error fetching details for ${libraryIdentifier}:`));
                     console.error(chalk.red(`  ${getRevertReason(versionError)}`)); // Likely "Version does not exist".
                 }
             }
@@ -1349,6 +3814,8 @@ program
             infoSpinner.fail(chalk.red('Error fetching library info:'));
             console.error(chalk.red(`  ${getRevertReason(error)}`)); // Likely "Library does not exist".
             if (process.env.DEBUG) console.error(error.stack);
+        } finally {
+            saveMetadataIndex(metadataIndex);
         }
     });
 
@@ -1356,92 +3823,76 @@ program
  * Command: tpkm publish <directory>
  * Packages the library code in the specified directory, uploads the archive to IPFS,
  * and then calls the smart contract to publish a new version record, associating
- * the library name, version string, and IPFS hash. Requires ownership of the library.
+ * the library name, version string, IPFS hash and archive digest. Requires ownership of the library
+ * and a registry contract that records archive digests.
+ * With --dry-run, every pre-check runs and the archive is built, but nothing is uploaded or sent.
+ * The library's `prepublish` and `test` scripts run before the archive is built.
  */
 program
     .command('publish <directory>')
     .description('Package, upload to IPFS, and publish a new version of a library from a directory.')
     .option('-v, --version <version>', 'Version string (e.g., 1.0.0). Overrides version in lib.config.json.')
+    .option('--dry-run', 'Run all pre-checks and build the archive, but upload nothing and send no transaction')
+    .option('--max-package-size <size>', 'Refuse archives larger than this (e.g., 200MB, 2GB; default: TPKM_MAX_PACKAGE_SIZE or 512MB)')
+    .option('--ignore-scripts', 'Do not run the prepublish and test scripts from lib.config.json')
     .action(async (directory, options) => {
         await ensureNetworkClientsInitialized(); // Need IPFS, RPC.
         // Need signer wallet to publish. Will prompt for password.
-        const { contract: writableContractInstance, wallet: currentSignerWallet } = await loadWalletAndConnect();
-        if (!writableContractInstance || !currentSignerWallet) return; // Exit if wallet loading failed.
+        // A dry run sends no transaction, so it only reads the wallet address for the ownership check (no password).
+        let writableContractInstance = null;
+        let publisherAddress = null;
+        if (options.dryRun) {
+            publisherAddress = await getPublicAddressFromKeystore();
+            if (!publisherAddress) { // Exit if no wallet is configured.
+                process.exitCode = 1;
+                return;
+            }
+        } else {
+            const { contract, wallet } = await loadWalletAndConnect();
+            if (!contract || !wallet) { // Exit if wallet loading failed.
+                process.exitCode = 1;
+                return;
+            }
+            writableContractInstance = contract;
+            publisherAddress = wallet.address;
+        }
 
         const dirPath = path.resolve(directory); // Get absolute path.
-        const configPath = path.join(dirPath, 'lib.config.json'); // Standard config file name.
         // Use OS temp directory for the intermediate archive file.
         const tempArchiveName = `tpkm-publish-temp-${Date.now()}.tar.gz`;
         const tempArchivePath = path.join(os.tmpdir(), tempArchiveName);
 
-        console.log(chalk.yellow(`Attempting to publish library from directory: ${dirPath}`));
+        console.log(chalk.yellow(`Attempting to ${options.dryRun ? 'dry-run publishing of' : 'publish'} library from directory: ${dirPath}`));
         let libraryName = '';
         let versionString = '';
         let ipfsHash = ''; // Will store the CID after successful upload.
+        let archiveIntegrity = ''; // SHA-256 digest of the archive, published with the version.
         let dependenciesToPass = []; // Array of { name: string, constraint: string } for the contract.
 
         try {
-            // --- 1. Validate directory and configuration file ---
-            if (!fs.existsSync(dirPath) || !fs.lstatSync(dirPath).isDirectory()) {
-                throw new Error(`Directory not found or is not a valid directory: ${dirPath}`);
-            }
-            if (!fs.existsSync(configPath)) {
-                throw new Error(`Configuration file 'lib.config.json' not found in ${dirPath}. Use 'tpkm init' to create one.`);
-            }
-
-            // --- 2. Read and parse lib.config.json ---
-            let config;
-            try {
-                 config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            } catch (parseError) {
-                 throw new Error(`Failed to parse 'lib.config.json': ${parseError.message}`);
-            }
-
-            libraryName = config.name;
-            // Use command-line version override if provided, otherwise use config version.
-            versionString = options.version || config.version;
-
-            // Validate essential config values.
-            if (!libraryName || typeof libraryName !== 'string') {
-                throw new Error('Missing or invalid "name" field in lib.config.json.');
-            }
-            if (!versionString) {
-                // This happens if version is missing in both config and CLI option.
-                throw new Error('Library version is missing. Specify it in lib.config.json or use the --version option.');
-            }
-            if (!semver.valid(versionString)) {
-                throw new Error(`Invalid version format in config or option: "${versionString}". Use semantic versioning (e.g., 1.0.0).`);
-            }
+            // --- 1. Validate directory and read lib.config.json ---
+            const manifest = readPackageManifest(dirPath, options.version);
+            const maxPackageSize = getMaxPackageSize(options);
+            ({ libraryName, versionString, dependencies: dependenciesToPass } = manifest);
             console.log(chalk.gray(`Publishing: ${libraryName}@${versionString}`));
-
-            // Parse dependencies from config.dependencies object.
-            if (config.dependencies && typeof config.dependencies === 'object') {
-                for (const [name, constraint] of Object.entries(config.dependencies)) {
-                    if (!constraint || typeof constraint !== 'string') {
-                        console.warn(chalk.yellow(`Warning: Invalid or missing version constraint for dependency "${name}" in lib.config.json. Skipping.`));
-                        continue; // Skip dependencies with invalid constraints.
-                    }
-                     // Validate constraint format loosely (more complex validation could be added).
-                     // A basic check could be `semver.validRange(constraint)`.
-                     if (!semver.validRange(constraint)) {
-                          console.warn(chalk.yellow(`Warning: Potentially invalid version constraint "${constraint}" for dependency "${name}". Proceeding, but check format.`));
-                     }
-                    dependenciesToPass.push({ name, constraint });
-                }
-                if (dependenciesToPass.length > 0) {
-                    console.log(chalk.gray(`Including ${dependenciesToPass.length} dependencies from config: ${dependenciesToPass.map(d => `${d.name}@${d.constraint}`).join(', ')}`));
-                }
+            if (dependenciesToPass.length > 0) {
+                console.log(chalk.gray(`Including ${dependenciesToPass.length} dependencies from config: ${dependenciesToPass.map(d => `${d.name}@${d.constraint}`).join(', ')}`));
+            }
+            // Shown now, run once the pre-checks have passed.
+            const publishScripts = options.ignoreScripts ? [] : getPackageScripts(manifest, dirPath, ['prepublish', 'test']);
+            if (publishScripts.length > 0) {
+                printLifecycleScriptPlan(publishScripts);
             }
 
-            // --- 3. Pre-check: Verify Ownership ---
+            // --- 2. Pre-check: Verify Ownership ---
             const ownerCheckSpinner = ora({ text: `Verifying ownership of library "${libraryName}"...`, color: 'gray' }).start();
             try {
                 const libInfo = await contractReadOnly.getLibraryInfo(libraryName);
                 const ownerAddressOnChain = libInfo[0]; // Owner is the first element.
-                if (ownerAddressOnChain.toLowerCase() !== currentSignerWallet.address.toLowerCase()) {
+                if (ownerAddressOnChain.toLowerCase() !== publisherAddress.toLowerCase()) {
                      ownerCheckSpinner.fail();
                     // Throw a clear error if the current wallet doesn't own the library record.
-                    throw new Error(`Permission Denied: Your wallet (${currentSignerWallet.address}) is not the registered owner (${ownerAddressOnChain}) of library "${libraryName}".`);
+                    throw new Error(`Permission Denied: Your wallet (${publisherAddress}) is not the registered owner (${ownerAddressOnChain}) of library "${libraryName}".`);
                 }
                 ownerCheckSpinner.succeed(chalk.gray(`Ownership confirmed.`));
             } catch (checkError) {
@@ -1456,20 +3907,75 @@ program
                 throw new Error(`Pre-publication check failed: ${getRevertReason(checkError)}`);
             }
 
-            // --- 4. Archive the directory contents ---
-            const archiveSpinner = ora({ text: `Archiving directory content from ${dirPath}...`, color: 'yellow' }).start();
-            try {
-                await archiveDirectory(dirPath, tempArchivePath);
-                archiveSpinner.succeed(chalk.gray(`Archive created temporarily at: ${tempArchivePath}`));
-            } catch (archiveError) {
-                archiveSpinner.fail(chalk.red('Archiving failed.'));
-                throw archiveError; // Stop the process if archiving fails.
+            // --- 3. Pre-check: The version must not exist yet ---
+            // Checked before archiving and uploading, so a rejected publish never pins content.
+            const versionCheckSpinner = ora({ text: `Checking that ${libraryName}@${versionString} is not published yet...`, color: 'gray' }).start();
+            let existingVersions;
+            try {
+                existingVersions = await contractReadOnly.getVersionNumbers(libraryName);
+            } catch (versionsError) {
+                versionCheckSpinner.fail();
+                throw new Error(`Pre-publication check failed: ${getRevertReason(versionsError)}`);
+            }
+            if (existingVersions.includes(versionString)) {
+                versionCheckSpinner.fail();
+                throw new Error(`Version ${versionString} of "${libraryName}" is already published. Published versions cannot be replaced; bump the version in ${PROJECT_CONFIG_FILENAME} or use --version.`);
+            }
+            versionCheckSpinner.succeed(chalk.gray(`Version ${versionString} is available.`));
+
+            // --- 4. Pre-check: The registry must record the archive digest ---
+            // Installers verify every download against the digest published with the version, so versions are never
+            // published without one.
+            const integrityCheckSpinner = ora({ text: 'Checking that the registry records archive digests...', color: 'gray' }).start();
+            if (!(await supportsVersionIntegrity(libraryName, versionString))) {
+                integrityCheckSpinner.fail();
+                throw new Error(`The registry contract at ${currentActiveContractAddress} cannot record archive digests ` +
+                                '(publishVersionWithIntegrity, getVersionIntegrity), so installers could not verify this version. ' +
+                                'Publish to a registry contract that supports them.');
+            }
+            integrityCheckSpinner.succeed(chalk.gray('The registry records archive digests.'));
+
+            // --- 5. Run the library's own prepublish and test scripts ---
+            // Before archiving, so files built by prepublish are part of the package.
+            for (const script of publishScripts) {
+                await runLifecycleScript(script);
+            }
+
+            // --- 6. Archive the directory contents ---
+            const { integrity, size: archiveSize } = await createPackageArchive(dirPath, manifest.config, tempArchivePath);
+            archiveIntegrity = integrity;
+            console.log(chalk.gray(`Archive integrity: ${archiveIntegrity}`));
+            const sizeViolation = getPackageSizeViolation(archiveSize, maxPackageSize);
+            if (sizeViolation) {
+                throw new Error(sizeViolation);
+            }
+
+            if (options.dryRun) {
+                // Hash only: the node computes the CID without storing or pinning the archive.
+                const cidSpinner = ora({ text: 'Computing the IPFS CID of the archive...', color: 'gray' }).start();
+                let wouldBeCid;
+                try {
+                    wouldBeCid = await computeIpfsCid(tempArchivePath);
+                    cidSpinner.succeed(chalk.gray(`CID (not uploaded): ${wouldBeCid}`));
+                } catch (cidError) {
+                    cidSpinner.fail(chalk.red('Could not compute the IPFS CID.'));
+                    throw cidError;
+                }
+                console.log(chalk.green.bold(`\nDry run passed: ${libraryName}@${versionString} can be published.`));
+                console.log(chalk.blue(`  IPFS Hash (CID): ${wouldBeCid}`));
+                console.log(chalk.blue(`  Integrity: ${archiveIntegrity}`));
+                console.log(chalk.gray('Nothing was uploaded and no transaction was sent.'));
+                return;
             }
 
-            // --- 5. Upload the archive to IPFS ---
-            const ipfsUploadSpinner = ora({ text: `Uploading archive to IPFS via ${currentActiveRpcUrl}...`, color: 'yellow' }).start();
+            // --- 7. Upload the archive to IPFS ---
+            const uploadText = `Uploading archive to IPFS via ${currentActiveRpcUrl}...`;
+            const ipfsUploadSpinner = ora({ text: uploadText, color: 'yellow' }).start();
             try {
-                ipfsHash = await uploadToIpfs(tempArchivePath);
+                const uploadStartedAt = Date.now();
+                ipfsHash = await uploadToIpfs(tempArchivePath, (bytesSent, totalBytes) => {
+                    ipfsUploadSpinner.text = `${uploadText} ${formatTransferProgress(bytesSent, totalBytes, uploadStartedAt)}`;
+                });
                 if (!ipfsHash) { // Should be redundant if uploadToIpfs throws on failure, but good safety check.
                      throw new Error('IPFS upload completed but did not return a valid CID.');
                 }
@@ -1479,14 +3985,17 @@ program
                 throw uploadError; // Stop the process.
             }
 
-            // --- 6. Call Smart Contract to Publish Version ---
+            // --- 8. Call Smart Contract to Publish Version ---
             const publishSpinner = ora({ text: `Publishing ${libraryName}@${versionString} to the smart contract...`, color: 'yellow' }).start();
             try {
-                // Call the `publishVersion` function on the writable contract instance.
-                const tx = await writableContractInstance.publishVersion(
+                // Call `publishVersionWithIntegrity` on the writable contract instance. The IPFS hash field holds the
+                // plain CID, as for versions published with `publishVersion`; the digest is stored next to it, where
+                // installers read it (`getVersionIntegrity`) before extracting the archive.
+                const tx = await writableContractInstance.publishVersionWithIntegrity(
                     libraryName,
                     versionString,
                     ipfsHash,
+                    archiveIntegrity,
                     dependenciesToPass // Pass the parsed dependencies array.
                 );
                 publishSpinner.text = `Waiting for transaction confirmation (Hash: ${tx.hash.substring(0,10)}...)...`;
@@ -1495,6 +4004,7 @@ program
                 publishSpinner.succeed(chalk.green.bold(`Version ${versionString} of "${libraryName}" published successfully!`));
                 console.log(chalk.blue(`  Transaction Hash: ${tx.hash}`));
                 console.log(chalk.blue(`  IPFS Hash (CID): ${ipfsHash}`));
+                console.log(chalk.blue(`  Integrity: ${archiveIntegrity}`));
 
             } catch (publishError) {
                 publishSpinner.fail(chalk.red(`Failed to publish version ${versionString} to the contract:`));
@@ -1506,12 +4016,13 @@ program
         } catch (error) {
             // Catch errors from any stage (validation, config reading, checks, archiving, upload, contract call).
             console.error(chalk.red.bold('\nPublication process failed:'), error.message || 'An unknown error occurred.');
+            process.exitCode = 1;
             // Avoid logging the full error object unless in debug mode, as it can be verbose.
             if (process.env.DEBUG && error.stack) {
                 console.error(error.stack);
             }
         } finally {
-            // --- 7. Clean up the temporary archive file ---
+            // --- 9. Clean up the temporary archive file ---
             if (fs.existsSync(tempArchivePath)) {
                 try {
                     fs.unlinkSync(tempArchivePath);
@@ -1525,118 +4036,903 @@ program
     });
 
 /**
- * Command: tpkm install <libraryIdentifier>
- * Downloads a specific library version (and its dependencies recursively) from IPFS,
- * resolves versions based on constraints, and extracts them into a local directory (`tpkm_installed_libs`).
- * Format: "libraryName@versionString".
+ * Command: tpkm pack <directory>
+ * Builds the archive `tpkm publish` would upload for a directory and writes it to disk, together with
+ * a listing of its files, its sizes and the CID it would get on IPFS. Nothing is uploaded or published.
+ * Like publish, it runs the library's `prepublish` script first.
+ */
+program
+    .command('pack <directory>')
+    .description('Build the archive "publish" would upload, list its files and show the CID it would get, without publishing.')
+    .option('-v, --version <version>', 'Version string (e.g., 1.0.0). Overrides version in lib.config.json.')
+    .option('-o, --output <file>', 'Where to write the archive (default: ./<name>-<version>.tar.gz)')
+    .option('--max-package-size <size>', 'Warn if the archive is larger than publish allows (default: TPKM_MAX_PACKAGE_SIZE or 512MB)')
+    .option('--ignore-scripts', 'Do not run the prepublish script from lib.config.json')
+    .action(async (directory, options) => {
+        const dirPath = path.resolve(directory);
+        let manifest;
+        let maxPackageSize;
+        try {
+            manifest = readPackageManifest(dirPath, options.version);
+            maxPackageSize = getMaxPackageSize(options);
+        } catch (manifestError) {
+            console.error(chalk.red(manifestError.message));
+            process.exitCode = 1;
+            return;
+        }
+        const { libraryName, versionString } = manifest;
+        const outputPath = path.resolve(options.output || `${libraryName}-${versionString}.tar.gz`);
+        console.log(chalk.yellow(`Packing ${libraryName}@${versionString} from directory: ${dirPath}`));
+
+        let packResult;
+        try {
+            // Same build step as publish, so the archive matches what publish would upload.
+            const packScripts = options.ignoreScripts ? [] : getPackageScripts(manifest, dirPath, ['prepublish']);
+            if (packScripts.length > 0) {
+                printLifecycleScriptPlan(packScripts);
+                for (const script of packScripts) {
+                    await runLifecycleScript(script);
+                }
+            }
+            fs.ensureDirSync(path.dirname(outputPath));
+            // Drop an archive left by an earlier pack, so it cannot end up inside the new one.
+            fs.removeSync(outputPath);
+            packResult = await createPackageArchive(dirPath, manifest.config, outputPath);
+        } catch (packError) {
+            console.error(chalk.red.bold('\nPacking failed:'), packError.message || 'An unknown error occurred.');
+            fs.removeSync(outputPath);
+            process.exitCode = 1;
+            return;
+        }
+
+        // The CID is computed by the IPFS node (hash only), so the archive is written before connecting.
+        // No RPC endpoint or registry contract is needed.
+        await ensureIpfsClientInitialized();
+        let wouldBeCid;
+        const cidSpinner = ora({ text: 'Computing the IPFS CID of the archive...', color: 'gray' }).start();
+        try {
+            wouldBeCid = await computeIpfsCid(outputPath);
+            cidSpinner.succeed(chalk.gray('CID computed (nothing was uploaded).'));
+        } catch (cidError) {
+            cidSpinner.fail(chalk.red(`Could not compute the IPFS CID: ${cidError.message}`));
+            process.exitCode = 1;
+        }
+
+        const unpackedBytes = packResult.files.reduce((sum, file) => sum + file.size, 0);
+        console.log(chalk.green.bold(`\nPacked ${libraryName}@${versionString}`));
+        console.log(chalk.blue(`  Archive: ${outputPath}`));
+        console.log(chalk.blue(`  Files: ${packResult.files.length}`));
+        console.log(chalk.blue(`  Unpacked Size: ${formatBytes(unpackedBytes)}`));
+        console.log(chalk.blue(`  Archive Size: ${formatBytes(packResult.size)}`));
+        console.log(chalk.blue(`  Integrity: ${packResult.integrity}`));
+        console.log(chalk.blue(`  IPFS Hash (CID): ${wouldBeCid || '-'}`));
+        const sizeViolation = getPackageSizeViolation(packResult.size, maxPackageSize);
+        if (sizeViolation) {
+            console.warn(chalk.yellow(`\nWarning: ${sizeViolation} "tpkm publish" would refuse this package.`));
+        }
+    });
+
+/**
+ * Command: tpkm install [libraryIdentifier]
+ * Downloads a specific library version (and its dependencies recursively) from IPFS,
+ * resolves versions based on constraints, and extracts them into a local directory (`tpkm_installed_libs`).
+ * Format: "libraryName@versionOrRange". When no identifier is given, every dependency declared in the
+ * `lib.config.json` of the current directory is installed instead.
+ * Resolved versions are recorded in `tpkm-lock.json` and preferred by later installs.
+ */
+program
+    .command('install [libraryIdentifier]')
+    .description('Download and extract a library and its dependencies (format: "name@version"), or all dependencies from ./lib.config.json if omitted.')
+    .option('-S, --save', 'Add the library to the "dependencies" of ./lib.config.json after a successful install')
+    .option('--frozen-lockfile', `Install exactly what ${LOCKFILE_FILENAME} pins and fail on any drift instead of updating it`)
+    .option('--nested', `Allow incompatible versions of a library side by side; each parent gets a ${DEPENDENCY_MAPPING_FILENAME} mapping file`)
+    .option('--concurrency <number>', 'Maximum number of archives to download and extract in parallel', String(DEFAULT_INSTALL_CONCURRENCY))
+    .option('--offline', `Resolve from ${LOCKFILE_FILENAME} and install from the local cache only, without contacting the blockchain or IPFS`)
+    .option('--strict', 'Fail instead of installing a deprecated version when no non-deprecated version fits')
+    .option('--allow-deprecated', 'Ignore deprecation when choosing versions (highest matching version wins)')
+    .option('--include-prerelease', 'Let version ranges match pre-release versions (also "includePrerelease": true in lib.config.json)')
+    .option('--allow-scripts <names>', 'Run the postinstall scripts of these dependencies (comma-separated library names)')
+    .option('--ignore-scripts', 'Run no lifecycle scripts, not even the postinstall script of this project')
+    .option('--no-cache', 'Read registry metadata directly from the contract instead of the local metadata index')
+    // Potential future options: --save-dev, --global, --target-dir
+    .action(async (libraryIdentifier, options) => {
+        const projectDir = process.cwd();
+        // List of { name, constraint } entries to install at the top level.
+        let rootDependencies = [];
+        let projectConfig = null;
+        try {
+            projectConfig = loadProjectConfig(projectDir);
+        } catch (configError) {
+            console.error(chalk.red(configError.message));
+            return;
+        }
+
+        // Set when the identifier names a dist-tag ("my-lib", "my-lib@next"); resolved to a version once online.
+        let requestedTag = null;
+        if (libraryIdentifier) {
+            // Accepts "libraryName", "libraryName@version", "libraryName@range" and "libraryName@tag".
+            let parsed;
+            try {
+                parsed = parseLibraryIdentifier(libraryIdentifier);
+            } catch (parseError) {
+                console.error(chalk.red(parseError.message));
+                console.error(chalk.yellow('Examples: my-lib, my-lib@1.0.0, my-lib@^1.2.0, my-lib@latest, my-lib@next.'));
+                return;
+            }
+            if (parsed.kind === 'tag') {
+                if (options.offline) {
+                    console.error(chalk.red(`Dist-tags cannot be resolved offline. Use "${parsed.name}@<version>" with --offline.`));
+                    process.exitCode = 1;
+                    return;
+                }
+                requestedTag = parsed;
+            }
+            rootDependencies.push({ name: parsed.name, constraint: parsed.specifier });
+
+            // --save needs an existing lib.config.json to write into. Check before doing any work.
+            if (options.save) {
+                if (!projectConfig) {
+                    console.error(chalk.red(`Cannot use --save: '${PROJECT_CONFIG_FILENAME}' not found in ${projectDir}.`));
+                    console.log(chalk.yellow(`Use "tpkm init" to create one first.`));
+                    return;
+                }
+            }
+        } else {
+            // No identifier: install everything declared in the local lib.config.json.
+            if (!projectConfig) {
+                console.error(chalk.red(`No library identifier given and no '${PROJECT_CONFIG_FILENAME}' found in ${projectDir}.`));
+                console.log(chalk.yellow('Use "tpkm install <name@version>" or create a project with "tpkm init".'));
+                return;
+            }
+            if (options.save) {
+                console.warn(chalk.yellow('Warning: --save has no effect without a library identifier. Ignoring.'));
+            }
+            rootDependencies = getConfigDependencies(projectConfig);
+            if (rootDependencies.length === 0) {
+                console.log(chalk.blue(`No dependencies declared in ${PROJECT_CONFIG_FILENAME}. Nothing to install.`));
+                return;
+            }
+        }
+
+        const concurrency = Number(options.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            console.error(chalk.red(`Invalid --concurrency value: "${options.concurrency}". Use a positive integer.`));
+            process.exitCode = 1;
+            return;
+        }
+        let deprecationPolicy;
+        try {
+            deprecationPolicy = getDeprecationPolicy(options);
+            // Checked now, so an invalid "scripts" field does not surface only after everything is installed.
+            if (!libraryIdentifier) getLifecycleScript(projectConfig, 'postinstall');
+        } catch (policyError) {
+            console.error(chalk.red(policyError.message));
+            process.exitCode = 1;
+            return;
+        }
+        const allowedScripts = parseAllowedScripts(options.allowScripts);
+
+        // The nested layout is opt-in, per run (--nested) or per project ("installLayout": "nested").
+        const nested = !!options.nested || !!(projectConfig && projectConfig.installLayout === 'nested');
+        const layout = nested ? 'nested' : 'flat';
+
+        // --- Lockfile ---
+        let lockfile = null;
+        try {
+            lockfile = loadLockfile(projectDir);
+        } catch (lockfileError) {
+            console.error(chalk.red(lockfileError.message));
+            return;
+        }
+        if (options.offline) {
+            if (!lockfile) {
+                console.error(chalk.red(`--offline was given but no '${LOCKFILE_FILENAME}' exists in ${projectDir}.`));
+                console.log(chalk.yellow('Run "tpkm install" once while online to create it and fill the cache.'));
+                process.exitCode = 1;
+                return;
+            }
+            if (options.save) {
+                console.error(chalk.red('--save cannot be combined with --offline, since the new dependency cannot be resolved against the registry.'));
+                return;
+            }
+            // The locked graph is all there is offline, and it was resolved for one layout only.
+            if (lockfile.layout !== layout) {
+                console.error(chalk.red(`Lockfile drift: ${LOCKFILE_FILENAME} was resolved for the ${lockfile.layout} layout, but this install uses the ${layout} layout.`));
+                console.log(chalk.yellow(`Run "tpkm install" once while online to resolve the ${layout} layout.`));
+                process.exitCode = 1;
+                return;
+            }
+        }
+        if (options.frozenLockfile) {
+            if (!lockfile) {
+                console.error(chalk.red(`--frozen-lockfile was given but no '${LOCKFILE_FILENAME}' exists in ${projectDir}.`));
+                console.log(chalk.yellow('Run "tpkm install" once without --frozen-lockfile to create it.'));
+                return;
+            }
+            if (options.save) {
+                console.error(chalk.red('--save cannot be combined with --frozen-lockfile, since it would change the locked dependencies.'));
+                return;
+            }
+            if (requestedTag) {
+                console.error(chalk.red(`--frozen-lockfile needs a version or range, not the dist-tag "${requestedTag.specifier}", since tags can move.`));
+                return;
+            }
+            if (lockfile.layout !== layout) {
+                console.error(chalk.red(`Lockfile drift: ${LOCKFILE_FILENAME} was resolved for the ${lockfile.layout} layout, but this install uses the ${layout} layout.`));
+                process.exitCode = 1;
+                return;
+            }
+            // Every requested top-level constraint must be the one that was locked.
+            const driftedRoots = rootDependencies.filter(dep => lockfile.dependencies[dep.name] !== dep.constraint);
+            if (driftedRoots.length > 0) {
+                console.error(chalk.red(`Lockfile drift: ${LOCKFILE_FILENAME} is out of date with the requested dependencies:`));
+                driftedRoots.forEach(dep => {
+                    const locked = lockfile.dependencies[dep.name];
+                    console.error(chalk.red(`  ${dep.name}: requested "${dep.constraint}", locked ${locked ? `"${locked}"` : '(not locked)'}`));
+                });
+                console.log(chalk.yellow('Run "tpkm install" without --frozen-lockfile to update the lockfile.'));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        // A single library is resolved together with the project's other top-level dependencies (replacing any
+        // existing constraint on the same name), so the new graph, and the lockfile written from it, stay
+        // consistent for all of them. The requested library stays first.
+        const requestedRoot = libraryIdentifier ? rootDependencies[0] : null;
+        if (requestedRoot) {
+            rootDependencies.push(...getProjectRootDependencies(projectConfig, lockfile).filter(dep => dep.name !== requestedRoot.name));
+        }
+
+        // Offline installs never touch the RPC endpoint or IPFS (whose initialization exits when they are unreachable).
+        if (!options.offline) {
+            await ensureNetworkClientsInitialized(); // Need IPFS, read-only contract access.
+        }
+
+        if (!options.offline && lockfile && lockfile.registry && lockfile.registry.contractAddress &&
+            lockfile.registry.contractAddress.toLowerCase() !== currentActiveContractAddress.toLowerCase()) {
+            const registryMessage = `${LOCKFILE_FILENAME} was created against registry ${lockfile.registry.contractAddress}, but the active registry is ${currentActiveContractAddress}.`;
+            if (options.frozenLockfile) {
+                console.error(chalk.red(`Lockfile drift: ${registryMessage}`));
+                process.exitCode = 1;
+                return;
+            }
+            console.warn(chalk.yellow(`Warning: ${registryMessage}`));
+        }
+
+        const requestedList = (requestedRoot ? [requestedRoot] : rootDependencies).map(dep => `${dep.name}@${dep.constraint}`).join(', ');
+        console.log(chalk.yellow.bold(`Starting installation process for ${requestedList}...`));
+        // Define the root directory for installations within the current working directory.
+        const installRoot = path.join(projectDir, INSTALL_DIRNAME);
+        // Map of resolved packages { "name@version": resolved node }, filled once the whole graph has been resolved.
+        let resolvedPackages = new Map();
+        // Lockfile entries ("name@version" -> details) collected while installing.
+        const lockEntries = new Map();
+        const metadataIndex = options.offline ? null : await openMetadataIndexForCommand(options);
+        const installContext = {
+            lockfile, frozenLockfile: !!options.frozenLockfile, nested, concurrency, offline: !!options.offline, deprecationPolicy,
+            includePrerelease: shouldIncludePrerelease(options, projectConfig, lockfile), metadataIndex, lockEntries,
+        };
+
+        try {
+            // --- Dist-tag resolution ---
+            // The tag's version is installed exactly; "^version" is what gets recorded, as with any other install.
+            if (requestedTag) {
+                const taggedVersion = await resolveVersionSpecifier(createRegistryReader({ metadataIndex }), requestedTag, { includePrerelease: installContext.includePrerelease });
+                console.log(chalk.gray(`${requestedTag.name}@${requestedTag.specifier} resolves to ${taggedVersion}.`));
+                rootDependencies[0] = { name: requestedTag.name, constraint: taggedVersion, savedConstraint: `^${taggedVersion}` };
+            }
+
+            // --- Optional: Access Check for Private Libraries ---
+            // Get the public address from the local keystore (if it exists) to potentially check access for private libs.
+            // This doesn't require the password, just reads the address from the file.
+            // Offline there is no registry to ask; the lockfile only contains libraries that were accessible when it was written.
+            const publicAddress = options.offline ? null : await getPublicAddressFromKeystore();
+
+            // Note: The primary access control often happens within the contract's `getVersionInfo` or a dedicated
+            // `hasAccess` function called by `processInstallation` or implicitly.
+            // However, performing an explicit top-level check here can provide earlier feedback if the user lacks
+            // access to a requested top-level library (if it's private).
+
+            if (publicAddress) {
+                // Perform an explicit check for each requested top-level library *if* a local wallet address is found.
+                for (const { name: libraryName } of (requestedRoot ? [rootDependencies[0]] : rootDependencies)) {
+                    const accessCheckSpinner = ora({ text: `Checking access for ${publicAddress.substring(0,10)}... to "${libraryName}"...`, color: 'gray' }).start();
+                    try {
+                        // Assumes contract has `hasAccess(libraryName, userAddress)` view function.
+                        const hasAccess = await contractReadOnly.hasAccess(libraryName, publicAddress);
+                        if (!hasAccess) {
+                             accessCheckSpinner.fail();
+                            // If this specific check fails, inform the user and stop.
+                            throw new Error(`Access Denied: Wallet ${publicAddress} does not have permission to access library "${libraryName}". This library might be private or you need authorization.`);
+                        }
+                         accessCheckSpinner.succeed(chalk.gray(`Access check passed for "${libraryName}" (or library is public).`));
+                    } catch (accessCheckError) {
+                         accessCheckSpinner.fail();
+                        // Handle errors during the access check itself (e.g., library not found).
+                        console.error(chalk.red('Error during access check for top-level library:'), getRevertReason(accessCheckError));
+                        // Exit if the explicit access check fails critically.
+                        process.exitCode = 1;
+                        return;
+                    }
+                }
+            } else if (options.offline) {
+                console.log(chalk.gray(`Offline mode: resolving from ${LOCKFILE_FILENAME} and installing from the local cache.`));
+            } else {
+                // No local wallet configured, proceed assuming public access or that the contract will enforce permissions later.
+                console.log(chalk.gray(`No local wallet address found via keystore. Proceeding with installation.`));
+                console.log(chalk.yellow(`Access to private libraries or dependencies might be restricted.`));
+            }
+            // --- End Optional Access Check ---
+
+
+            // --- Resolve and Install ---
+            // All top-level constraints are resolved together, so libraries shared between them are only
+            // installed once and conflicts between them are detected before anything is downloaded.
+            // `processInstallation` handles resolution, downloading, verification and extraction.
+            const installedGraph = await processInstallation(rootDependencies, installRoot, installContext);
+            resolvedPackages = installedGraph.libraries;
+            // --- End Resolve and Install ---
+
+
+            // --- Installation Summary ---
+            console.log(chalk.green.bold(`\nInstallation finished successfully!`));
+            if (resolvedPackages.size > 0) {
+                console.log(chalk.cyan('Installed packages and versions:'));
+                 const installedTable = new Table({
+                      head: [chalk.cyan('Package'), chalk.cyan('Installed Version'), chalk.cyan('Status')],
+                       colWidths: [40, 20, 14]
+                 });
+                resolvedPackages.forEach((node) => {
+                    installedTable.push([node.name, node.version, node.deprecated ? chalk.red('deprecated') : chalk.green('ok')]);
+                });
+                 console.log(installedTable.toString());
+                const deprecatedCount = [...resolvedPackages.values()].filter(node => node.deprecated).length;
+                if (deprecatedCount > 0) {
+                    console.log(chalk.yellow(`${deprecatedCount} installed version(s) are deprecated. Use --strict to refuse deprecated versions.`));
+                }
+                console.log(chalk.blue(`\nLibraries installed in: ${installRoot}`));
+            } else {
+                // This state should ideally not be reached if processInstallation succeeded for the main package.
+                console.log(chalk.yellow('No packages appear to have been installed. This might indicate an unexpected issue.'));
+            }
+
+            // --- Update the lockfile ---
+            // Offline installs only ever use what the lockfile already records, so it is left untouched.
+            // The resolved graph covers every top-level dependency, so it replaces the locked libraries entirely.
+            if (!options.frozenLockfile && !options.offline) {
+                const lockedDependencies = Object.fromEntries(rootDependencies.map(dep => [dep.name, dep.savedConstraint || dep.constraint]));
+                const libraries = Object.fromEntries(lockEntries);
+                saveLockfile(projectDir, {
+                    registry: { network: currentActiveNetworkName, contractAddress: currentActiveContractAddress },
+                    layout,
+                    includePrerelease: installContext.includePrerelease,
+                    dependencies: lockedDependencies,
+                    libraries,
+                });
+                console.log(chalk.gray(`Lockfile written: ${path.join(projectDir, LOCKFILE_FILENAME)}`));
+            }
+
+            // --- Record the dependency in lib.config.json (--save) ---
+            if (libraryIdentifier && options.save) {
+                const [{ name, constraint: resolvedConstraint, savedConstraint }] = rootDependencies;
+                const constraint = savedConstraint || resolvedConstraint;
+                projectConfig.dependencies = { ...(projectConfig.dependencies || {}), [name]: constraint };
+                saveProjectConfig(projectDir, projectConfig);
+                console.log(chalk.green(`Saved ${name}@${constraint} to the dependencies in ${PROJECT_CONFIG_FILENAME}.`));
+            }
+
+            // --- Lifecycle scripts ---
+            // Dependencies' postinstall scripts run only with --allow-scripts; the project's own runs on "tpkm install".
+            if (!options.ignoreScripts) {
+                const project = libraryIdentifier ? null : { dir: projectDir, config: projectConfig };
+                if (!await runPostinstallScripts(resolvedPackages, installRoot, allowedScripts, project)) {
+                    console.error(chalk.red('The libraries are installed, but a postinstall script failed; they may not work until it succeeds.'));
+                    process.exitCode = 1;
+                }
+            }
+
+        } catch (error) {
+            // Catch errors thrown by `processInstallation` (e.g., version conflicts, download failures) or initial checks.
+            console.error(chalk.red.bold(`\nInstallation failed:`));
+            // Use `error.message` as `getRevertReason` might not apply to all error types here (like version conflicts).
+            console.error(chalk.red(`  ${error.message || getRevertReason(error)}`));
+            if (process.env.DEBUG && error.stack) {
+                console.error(error.stack);
+            }
+            // Optionally suggest checking network, IPFS, or permissions based on the error.
+            if (error.message && error.message.toLowerCase().includes('version conflict')) {
+                 console.log(chalk.yellow('Hint: Check the dependency requirements of your requested package and its sub-dependencies.'));
+                 if (error.message.includes('--strict does not allow')) {
+                      console.log(chalk.yellow('Hint: Retry without --strict to install the deprecated version with a warning.'));
+                 } else if (!nested && !options.offline) {
+                      console.log(chalk.yellow('Hint: If the conflicting libraries can each use their own copy, retry with --nested to install both versions side by side.'));
+                 }
+            }
+            if (error.message && error.message.startsWith('Lockfile drift:')) {
+                 console.log(chalk.yellow('Hint: Run "tpkm install" without --frozen-lockfile to update the lockfile.'));
+            }
+            if (options.offline) {
+                 console.log(chalk.yellow(`Hint: Offline installs can only use versions recorded in ${LOCKFILE_FILENAME} and archives in the local cache. Run "tpkm install" once while online to fill the cache.`));
+            }
+            process.exitCode = 1; // Let CI pipelines detect the failure.
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+    });
+
+/**
+ * Command: tpkm outdated
+ * Compares the locked (installed) versions of the project's dependencies with the versions published on-chain.
+ * Shows the current version, the highest version the constraints allow ("wanted") and the latest version.
+ */
+program
+    .command('outdated')
+    .description(`Show dependencies with newer versions in the registry (compares ${LOCKFILE_FILENAME} against published versions).`)
+    .option('-a, --all', 'Include transitive dependencies, not only top-level ones')
+    .option('--include-prerelease', 'Let version ranges match pre-release versions when computing the wanted version')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (options) => {
+        const projectDir = process.cwd();
+        let projectConfig;
+        let lockfile;
+        try {
+            projectConfig = loadProjectConfig(projectDir);
+            lockfile = loadLockfile(projectDir);
+        } catch (loadError) {
+            console.error(chalk.red(loadError.message));
+            return;
+        }
+        if (!lockfile) {
+            console.error(chalk.red(`No '${LOCKFILE_FILENAME}' found in ${projectDir}.`));
+            console.log(chalk.yellow('Run "tpkm install" first; outdated compares the locked versions against the registry.'));
+            return;
+        }
+        const installRoot = path.join(projectDir, INSTALL_DIRNAME);
+        const semverOptions = { includePrerelease: shouldIncludePrerelease(options, projectConfig, lockfile) };
+
+        // One row per installed library version, with every constraint that applies to it.
+        const rows = getProjectRootDependencies(projectConfig, lockfile).map(dep => {
+            const locked = findLockedLibrary(lockfile, dep.name, dep.constraint);
+            return { name: dep.name, current: locked ? locked.version : null, constraints: [dep.constraint], type: 'direct' };
+        });
+        if (options.all) {
+            const transitive = new Map(); // "name@version" -> row
+            for (const parent of Object.values(lockfile.libraries)) {
+                for (const [depName, constraint] of Object.entries(parent.dependencies || {})) {
+                    const version = (parent.resolved || {})[depName];
+                    if (!version || rows.some(row => row.name === depName && row.current === version)) continue;
+                    const key = `${depName}@${version}`;
+                    if (!transitive.has(key)) transitive.set(key, { name: depName, current: version, constraints: [], type: 'transitive' });
+                    transitive.get(key).constraints.push(constraint);
+                }
+            }
+            rows.push(...[...transitive.values()].sort((a, b) => a.name.localeCompare(b.name)));
+        }
+        if (rows.length === 0) {
+            console.log(chalk.blue('This project has no dependencies.'));
+            return;
+        }
+
+        await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
+        const checkSpinner = ora({ text: `Checking ${rows.length} dependencies for newer versions...`, color: 'yellow' }).start();
+        try {
+            await runWithConcurrency(rows, REGISTRY_READ_CONCURRENCY, async (row) => {
+                const available = await reader.getVersionNumbers(row.name);
+                const allowed = available.filter(version => row.constraints.every(constraint => semver.satisfies(version, constraint, semverOptions)));
+                row.wanted = allowed.sort(semver.rcompare)[0] || null;
+                row.latest = getLatestVersion(available);
+                // The pre-release channel only matters when it is ahead of the latest version.
+                row.next = splitReleaseChannels(available).prerelease.find(version => !row.latest || semver.gt(version, row.latest)) || null;
+                row.installed = !!row.current && fs.existsSync(path.join(installRoot, row.name, row.current));
+                row.deprecated = false;
+                if (row.current && available.includes(row.current)) {
+                    row.deprecated = (await reader.getVersionInfo(row.name, row.current)).deprecated;
+                }
+            });
+        } catch (error) {
+            checkSpinner.fail(chalk.red('Error checking for newer versions:'));
+            console.error(chalk.red(`  ${error.message}`));
+            process.exitCode = 1;
+            saveMetadataIndex(metadataIndex);
+            return;
+        }
+        saveMetadataIndex(metadataIndex);
+
+        const outdatedRows = rows.filter(row => !row.installed || row.deprecated ||
+            (row.wanted && row.current !== row.wanted) || (row.latest && row.current && semver.lt(row.current, row.latest)));
+        if (outdatedRows.length === 0) {
+            checkSpinner.succeed(chalk.green(`All ${rows.length} dependencies are up to date.`));
+            return;
+        }
+        checkSpinner.warn(chalk.yellow(`${outdatedRows.length} of ${rows.length} dependencies are outdated or need attention.`));
+
+        const table = new Table({
+            head: [chalk.cyan('Package'), chalk.cyan('Current'), chalk.cyan('Wanted'), chalk.cyan('Latest'), chalk.cyan('Next'), chalk.cyan('Type'), chalk.cyan('Constraint')],
+        });
+        outdatedRows.forEach(row => {
+            let current = row.current || chalk.red('(not locked)');
+            if (row.current && row.deprecated) current += chalk.red(' (deprecated)');
+            if (row.current && !row.installed) current += chalk.red(' (missing)');
+            table.push([
+                row.name,
+                current,
+                row.wanted ? (row.wanted === row.current ? row.wanted : chalk.green(row.wanted)) : chalk.gray('(none)'),
+                row.latest ? (row.latest === row.wanted ? row.latest : chalk.magenta(row.latest)) : chalk.gray('(none)'),
+                row.next ? chalk.yellow(row.next) : chalk.gray('-'),
+                row.type,
+                row.constraints.join(', '),
+            ]);
+        });
+        console.log(table.toString());
+        console.log(chalk.gray('Wanted: the highest version the constraints allow. Latest: the highest stable version published. ' +
+                               'Next: the highest pre-release newer than Latest.'));
+        console.log(chalk.yellow('Run "tpkm update" to move to the wanted versions. Newer latest versions need a constraint change in lib.config.json.'));
+    });
+
+/**
+ * Command: tpkm update [libraryName]
+ * Re-resolves the project's dependencies (or a single library) to the highest versions their constraints allow,
+ * ignoring the versions pinned in the lockfile, reinstalls them and rewrites the lockfile.
+ */
+program
+    .command('update [libraryName]')
+    .description('Update dependencies (or one library) to the newest versions their constraints allow and reinstall them.')
+    .option('--concurrency <number>', 'Maximum number of archives to download and extract in parallel', String(DEFAULT_INSTALL_CONCURRENCY))
+    .option('--strict', 'Fail instead of choosing a deprecated version when no non-deprecated version fits')
+    .option('--allow-deprecated', 'Ignore deprecation when choosing versions (highest matching version wins)')
+    .option('--include-prerelease', 'Let version ranges match pre-release versions (also "includePrerelease": true in lib.config.json)')
+    .option('--allow-scripts <names>', 'Run the postinstall scripts of these dependencies (comma-separated library names)')
+    .option('--ignore-scripts', 'Run no lifecycle scripts')
+    .option('--no-cache', 'Read registry metadata directly from the contract instead of the local metadata index')
+    .action(async (libraryName, options) => {
+        const projectDir = process.cwd();
+        let projectConfig;
+        let lockfile;
+        try {
+            projectConfig = loadProjectConfig(projectDir);
+            lockfile = loadLockfile(projectDir);
+        } catch (loadError) {
+            console.error(chalk.red(loadError.message));
+            return;
+        }
+        const rootDependencies = getProjectRootDependencies(projectConfig, lockfile);
+        if (rootDependencies.length === 0) {
+            console.log(chalk.blue(`No dependencies declared in ${PROJECT_CONFIG_FILENAME} or ${LOCKFILE_FILENAME}. Nothing to update.`));
+            return;
+        }
+        if (libraryName && !rootDependencies.some(dep => dep.name === libraryName) &&
+            !(lockfile && Object.values(lockfile.libraries).some(entry => entry.name === libraryName))) {
+            console.error(chalk.red(`"${libraryName}" is not a dependency of this project.`));
+            return;
+        }
+        const concurrency = Number(options.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            console.error(chalk.red(`Invalid --concurrency value: "${options.concurrency}". Use a positive integer.`));
+            process.exitCode = 1;
+            return;
+        }
+        let deprecationPolicy;
+        try {
+            deprecationPolicy = getDeprecationPolicy(options);
+        } catch (policyError) {
+            console.error(chalk.red(policyError.message));
+            process.exitCode = 1;
+            return;
+        }
+        const nested = (lockfile ? lockfile.layout === 'nested' : false) || !!(projectConfig && projectConfig.installLayout === 'nested');
+
+        await ensureNetworkClientsInitialized(); // Need IPFS, read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+
+        console.log(chalk.yellow.bold(`Updating ${libraryName ? `"${libraryName}"` : 'all dependencies'} within their version constraints...`));
+        const installRoot = path.join(projectDir, INSTALL_DIRNAME);
+        const lockEntries = new Map();
+        const updateContext = {
+            lockfile, nested, concurrency, deprecationPolicy, metadataIndex, lockEntries,
+            includePrerelease: shouldIncludePrerelease(options, projectConfig),
+            unlocked: libraryName ? new Set([libraryName]) : true,
+        };
+        try {
+            const graph = await processInstallation(rootDependencies, installRoot, updateContext);
+
+            // --- Summary: what changed, and which of the chosen versions are deprecated ---
+            const previousVersions = (name) => lockfile
+                ? Object.values(lockfile.libraries).filter(entry => entry.name === name).map(entry => entry.version)
+                : [];
+            const summaryTable = new Table({ head: [chalk.cyan('Package'), chalk.cyan('Previous'), chalk.cyan('Now'), chalk.cyan('Note')] });
+            let changed = 0;
+            let deprecatedCount = 0;
+            graph.libraries.forEach(node => {
+                const previous = previousVersions(node.name);
+                const isChanged = !previous.includes(node.version);
+                if (isChanged) changed++;
+                if (node.deprecated) deprecatedCount++;
+                if (isChanged || node.deprecated) {
+                    summaryTable.push([
+                        node.name,
+                        previous.length > 0 ? previous.join(', ') : chalk.gray('(new)'),
+                        isChanged ? chalk.green(node.version) : node.version,
+                        node.deprecated ? chalk.red('deprecated') : '',
+                    ]);
+                }
+            });
+
+            saveLockfile(projectDir, {
+                registry: { network: currentActiveNetworkName, contractAddress: currentActiveContractAddress },
+                layout: nested ? 'nested' : 'flat',
+                includePrerelease: updateContext.includePrerelease,
+                dependencies: Object.fromEntries(rootDependencies.map(dep => [dep.name, dep.constraint])),
+                libraries: Object.fromEntries(lockEntries),
+            });
+
+            if (changed === 0 && deprecatedCount === 0) {
+                console.log(chalk.green.bold('\nEverything is already at the newest versions the constraints allow.'));
+            } else {
+                console.log(chalk.green.bold(`\nUpdate finished: ${changed} library version(s) changed.`));
+                console.log(summaryTable.toString());
+                if (deprecatedCount > 0) {
+                    console.log(chalk.yellow(`${deprecatedCount} installed version(s) are deprecated. Check "tpkm outdated" for newer versions outside the current constraints.`));
+                }
+            }
+            console.log(chalk.gray(`Lockfile written: ${path.join(projectDir, LOCKFILE_FILENAME)}`));
+
+            if (!options.ignoreScripts && !await runPostinstallScripts(graph.libraries, installRoot, parseAllowedScripts(options.allowScripts))) {
+                console.error(chalk.red('The libraries are updated, but a postinstall script failed; they may not work until it succeeds.'));
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            console.error(chalk.red.bold(`\nUpdate failed:`));
+            console.error(chalk.red(`  ${error.message || getRevertReason(error)}`));
+            if (process.env.DEBUG && error.stack) console.error(error.stack);
+            process.exitCode = 1;
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+    });
+
+/**
+ * Command: tpkm uninstall <libraryName>
+ * Removes a top-level dependency from lib.config.json and the lockfile, then deletes every installed
+ * library version that the remaining dependencies no longer need.
+ */
+program
+    .command('uninstall <libraryName>')
+    .alias('remove')
+    .description(`Remove a dependency from ${PROJECT_CONFIG_FILENAME} and ${LOCKFILE_FILENAME} and delete the libraries only it needed.`)
+    .action((libraryName) => {
+        const projectDir = process.cwd();
+        let projectConfig;
+        let lockfile;
+        try {
+            projectConfig = loadProjectConfig(projectDir);
+            lockfile = loadLockfile(projectDir);
+        } catch (loadError) {
+            console.error(chalk.red(loadError.message));
+            return;
+        }
+
+        const declared = !!(projectConfig && projectConfig.dependencies && projectConfig.dependencies[libraryName]);
+        const locked = !!(lockfile && lockfile.dependencies[libraryName]);
+        if (!declared && !locked) {
+            const requiredBy = lockfile
+                ? Object.values(lockfile.libraries).filter(entry => entry.dependencies && entry.dependencies[libraryName]).map(entry => `${entry.name}@${entry.version}`)
+                : [];
+            console.error(chalk.red(`"${libraryName}" is not a direct dependency of this project.`));
+            if (requiredBy.length > 0) {
+                console.log(chalk.yellow(`It is installed because ${requiredBy.join(', ')} depend(s) on it. Uninstall those instead.`));
+            }
+            process.exitCode = 1;
+            return;
+        }
+
+        if (declared) {
+            delete projectConfig.dependencies[libraryName];
+            saveProjectConfig(projectDir, projectConfig);
+            console.log(chalk.green(`Removed "${libraryName}" from the dependencies in ${PROJECT_CONFIG_FILENAME}.`));
+        }
+
+        const installRoot = path.join(projectDir, INSTALL_DIRNAME);
+        if (!lockfile) {
+            // Without a lockfile the rest of the graph is unknown; only the library's own directory can go.
+            fs.removeSync(path.join(installRoot, libraryName));
+            console.log(chalk.yellow(`No '${LOCKFILE_FILENAME}' found: removed ${path.join(INSTALL_DIRNAME, libraryName)} only. Its dependencies were left in place.`));
+            return;
+        }
+
+        delete lockfile.dependencies[libraryName];
+        const rootDependencies = getProjectRootDependencies(projectConfig, lockfile);
+        const reachable = findReachableLockEntries(lockfile, rootDependencies);
+        const droppedEntries = Object.keys(lockfile.libraries).filter(key => !reachable.has(key));
+        droppedEntries.forEach(key => { delete lockfile.libraries[key]; });
+        saveLockfile(projectDir, lockfile);
+
+        const removed = pruneInstalledLibraries(installRoot, reachable);
+        if (lockfile.layout === 'nested' && fs.existsSync(installRoot)) {
+            // The project's own mapping must no longer point at the removed library.
+            const rootResolved = {};
+            rootDependencies.forEach(dep => {
+                const entry = findLockedLibrary(lockfile, dep.name, dep.constraint);
+                if (entry) rootResolved[dep.name] = entry.version;
+            });
+            writeDependencyMapping(installRoot, rootResolved, installRoot);
+        }
+
+        console.log(chalk.green(`Uninstalled "${libraryName}". Removed ${removed.length} installed library version(s)${removed.length > 0 ? `: ${removed.join(', ')}` : ''}.`));
+        console.log(chalk.gray(`Lockfile updated: ${droppedEntries.length} entr${droppedEntries.length === 1 ? 'y' : 'ies'} removed.`));
+    });
+
+/**
+ * Command: tpkm prune
+ * Deletes installed library versions that the project's locked dependency graph no longer reaches
+ * (e.g., versions replaced by an update) and drops unreachable entries from the lockfile.
  */
 program
-    .command('install <libraryIdentifier>')
-    .description('Download and extract a library version and its dependencies (format: "name@version").')
-    // Potential future options: --save-dev, --global, --target-dir
-    .action(async (libraryIdentifier /*, options */) => {
-        await ensureNetworkClientsInitialized(); // Need IPFS, read-only contract access.
+    .command('prune')
+    .description(`Delete installed libraries that the dependency graph in ${LOCKFILE_FILENAME} no longer reaches.`)
+    .option('--dry-run', 'Only list what would be removed')
+    .action((options) => {
+        const projectDir = process.cwd();
+        let projectConfig;
+        let lockfile;
+        try {
+            projectConfig = loadProjectConfig(projectDir);
+            lockfile = loadLockfile(projectDir);
+        } catch (loadError) {
+            console.error(chalk.red(loadError.message));
+            return;
+        }
+        if (!lockfile) {
+            console.error(chalk.red(`No '${LOCKFILE_FILENAME}' found in ${projectDir}; cannot tell which installed libraries are still needed.`));
+            console.log(chalk.yellow('Run "tpkm install" first.'));
+            return;
+        }
 
-        // Regex to strictly parse "libraryName@versionString".
-        const identifierRegex = /^([^@]+)@(.+)$/;
-        const match = libraryIdentifier.match(identifierRegex);
+        const reachable = findReachableLockEntries(lockfile, getProjectRootDependencies(projectConfig, lockfile));
+        const installRoot = path.join(projectDir, INSTALL_DIRNAME);
+        const removed = pruneInstalledLibraries(installRoot, reachable, { dryRun: !!options.dryRun });
+        const droppedEntries = Object.keys(lockfile.libraries).filter(key => !reachable.has(key));
 
-        if (!match) {
-            console.error(chalk.red('Invalid library identifier format.'));
-            console.error(chalk.yellow('Please use "libraryName@versionString" (e.g., my-lib@1.0.0).'));
+        if (removed.length === 0 && droppedEntries.length === 0) {
+            console.log(chalk.green('Nothing to prune: every installed library is part of the dependency graph.'));
             return;
         }
-        const [, libraryName, versionString] = match;
+        const verb = options.dryRun ? 'Would remove' : 'Removed';
+        if (removed.length > 0) {
+            console.log(chalk.green(`${verb} ${removed.length} installed library version(s):`));
+            removed.forEach(key => console.log(chalk.gray(`  - ${key}`)));
+        }
+        if (droppedEntries.length > 0) {
+            console.log(chalk.green(`${verb} ${droppedEntries.length} unreachable lockfile entr${droppedEntries.length === 1 ? 'y' : 'ies'}: ${droppedEntries.join(', ')}`));
+            if (!options.dryRun) {
+                droppedEntries.forEach(key => { delete lockfile.libraries[key]; });
+                saveLockfile(projectDir, lockfile);
+            }
+        }
+    });
 
-        // Validate the version part using semver.
-        if (!semver.valid(versionString)) {
-            console.error(chalk.red(`Invalid version format specified: "${versionString}".`));
-            console.error(chalk.yellow('Please use a valid semantic version (e.g., 1.0.0, 2.1.0-beta.1).'));
+/**
+ * Command: tpkm tree [libraryIdentifier]
+ * Prints the dependency tree of the project (or of one library version), built from the on-chain
+ * `dependencies` arrays. If the graph cannot be resolved, the conflict is explained and an unresolved
+ * tree (each edge on its own highest matching version) is printed with the conflicting libraries marked.
+ */
+program
+    .command('tree [libraryIdentifier]')
+    .description('Print the resolved dependency tree of the project, or of a library (format: "name@version").')
+    .option('-d, --depth <number>', 'Maximum depth to print')
+    .option('--json', 'Print the tree as JSON')
+    .option('--include-prerelease', 'Let version ranges match pre-release versions')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (libraryIdentifier, options) => {
+        let maxDepth = Infinity;
+        if (options.depth !== undefined) {
+            maxDepth = Number(options.depth);
+            if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+                console.error(chalk.red(`Invalid --depth value: "${options.depth}". Use a positive integer.`));
+                return;
+            }
+        }
+        let roots;
+        try {
+            roots = getInspectionRoots(libraryIdentifier, process.cwd());
+        } catch (rootsError) {
+            console.error(chalk.red(rootsError.message));
             return;
         }
+        const { rootDependencies, rootLabel, lockfile, projectConfig } = roots;
+        const includePrerelease = shouldIncludePrerelease(options, projectConfig, lockfile);
 
-        console.log(chalk.yellow.bold(`Starting installation process for ${libraryName}@${versionString}...`));
-        // Define the root directory for installations within the current working directory.
-        const installRoot = path.join(process.cwd(), 'tpkm_installed_libs');
-        // Map to track resolved packages { name: resolvedVersion } to handle dependencies and prevent cycles/conflicts.
-        const resolvedPackages = new Map();
-
+        await ensureNetworkClientsInitialized({ quiet: !!options.json }); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
         try {
-            // --- Optional: Access Check for Private Libraries ---
-            // Get the public address from the local keystore (if it exists) to potentially check access for private libs.
-            // This doesn't require the password, just reads the address from the file.
-            const publicAddress = await getPublicAddressFromKeystore();
-
-            // Note: The primary access control often happens within the contract's `getVersionInfo` or a dedicated
-            // `hasAccess` function called by `processInstallation` or implicitly.
-            // However, performing an explicit top-level check here can provide earlier feedback if the user lacks
-            // access to the main requested library (if it's private).
-
-            if (publicAddress) {
-                // Perform an explicit check for the top-level library *if* a local wallet address is found.
-                const accessCheckSpinner = ora({ text: `Checking access for ${publicAddress.substring(0,10)}... to "${libraryName}"...`, color: 'gray' }).start();
-                try {
-                    // Assumes contract has `hasAccess(libraryName, userAddress)` view function.
-                    const hasAccess = await contractReadOnly.hasAccess(libraryName, publicAddress);
-                    if (!hasAccess) {
-                         accessCheckSpinner.fail();
-                        // If this specific check fails, inform the user and stop.
-                        throw new Error(`Access Denied: Wallet ${publicAddress} does not have permission to access library "${libraryName}". This library might be private or you need authorization.`);
-                    }
-                     accessCheckSpinner.succeed(chalk.gray('Access check passed (or library is public).'));
-                } catch (accessCheckError) {
-                     accessCheckSpinner.fail();
-                    // Handle errors during the access check itself (e.g., library not found).
-                    console.error(chalk.red('Error during access check for top-level library:'), getRevertReason(accessCheckError));
-                    // Exit if the explicit access check fails critically.
-                    return;
-                }
-            } else {
-                // No local wallet configured, proceed assuming public access or that the contract will enforce permissions later.
-                console.log(chalk.gray(`No local wallet address found via keystore. Proceeding with installation.`));
-                console.log(chalk.yellow(`Access to private libraries or dependencies might be restricted.`));
+            let graph = null;
+            let resolutionError = null;
+            try {
+                graph = await resolveDependencyGraph(rootDependencies, {
+                    reader,
+                    lockfile,
+                    nested: !!(lockfile && lockfile.layout === 'nested'),
+                    includePrerelease,
+                });
+            } catch (error) {
+                resolutionError = error;
             }
-            // --- End Optional Access Check ---
-
+            const tree = await buildDependencyTree(rootDependencies, { reader, graph, maxDepth, includePrerelease });
 
-            // --- Start Recursive Installation ---
-            console.log(chalk.blue(`Resolving dependencies starting from ${libraryName}@${versionString}...`));
-            // The `versionString` acts as the initial constraint for the top-level package.
-            // `processInstallation` will handle fetching, downloading, extracting, and resolving sub-dependencies.
-            await processInstallation(libraryName, versionString, resolvedPackages, installRoot);
-            // --- End Recursive Installation ---
-
-
-            // --- Installation Summary ---
-            console.log(chalk.green.bold(`\nInstallation finished successfully!`));
-            if (resolvedPackages.size > 0) {
-                console.log(chalk.cyan('Installed packages and versions:'));
-                 const installedTable = new Table({
-                      head: [chalk.cyan('Package'), chalk.cyan('Installed Version')],
-                       colWidths: [40, 20]
-                 });
-                resolvedPackages.forEach((version, name) => {
-                    installedTable.push([name, version]);
-                });
-                 console.log(installedTable.toString());
-                console.log(chalk.blue(`\nLibraries installed in: ${installRoot}`));
+            if (options.json) {
+                const output = { root: rootLabel, resolved: !!graph, dependencies: tree };
+                if (resolutionError) output.error = resolutionError.message;
+                console.log(JSON.stringify(output, null, 2));
             } else {
-                // This state should ideally not be reached if processInstallation succeeded for the main package.
-                console.log(chalk.yellow('No packages appear to have been installed. This might indicate an unexpected issue.'));
+                if (resolutionError) {
+                    console.error(chalk.red(resolutionError.message));
+                    console.log(chalk.yellow('\nUnresolved tree (every dependency on the highest version matching its own constraint):'));
+                }
+                console.log(chalk.cyan.bold(rootLabel));
+                const lines = renderDependencyTree(tree);
+                console.log(lines.length > 0 ? lines.join('\n') : chalk.gray('└── (no dependencies)'));
             }
-
+            if (resolutionError) process.exitCode = 1;
         } catch (error) {
-            // Catch errors thrown by `processInstallation` (e.g., version conflicts, download failures) or initial checks.
-            console.error(chalk.red.bold(`\nInstallation failed:`));
-            // Use `error.message` as `getRevertReason` might not apply to all error types here (like version conflicts).
-            console.error(chalk.red(`  ${error.message || getRevertReason(error)}`));
-            if (process.env.DEBUG && error.stack) {
-                console.error(error.stack);
+            console.error(chalk.red(`Error building the dependency tree: ${error.message}`));
+            process.exitCode = 1;
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+    });
+
+/**
+ * Command: tpkm why <libraryName>
+ * Lists every dependency path that pulls a library into the project's resolved graph.
+ */
+program
+    .command('why <libraryName>')
+    .description('Show every dependency path that pulls a library into the project.')
+    .option('--include-prerelease', 'Let version ranges match pre-release versions')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (libraryName, options) => {
+        let roots;
+        try {
+            roots = getInspectionRoots(undefined, process.cwd());
+        } catch (rootsError) {
+            console.error(chalk.red(rootsError.message));
+            return;
+        }
+        const { rootDependencies, rootLabel, lockfile, projectConfig } = roots;
+
+        await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
+        try {
+            const graph = await resolveDependencyGraph(rootDependencies, {
+                reader,
+                lockfile,
+                nested: !!(lockfile && lockfile.layout === 'nested'),
+                includePrerelease: shouldIncludePrerelease(options, projectConfig, lockfile),
+            });
+            const { paths, truncated } = findDependencyPaths(graph, rootDependencies, libraryName);
+            if (paths.length === 0) {
+                console.log(chalk.blue(`"${libraryName}" is not part of the dependency graph of ${rootLabel}.`));
+                return;
             }
-            // Optionally suggest checking network, IPFS, or permissions based on the error.
-            if (error.message && error.message.toLowerCase().includes('version conflict')) {
-                 console.log(chalk.yellow('Hint: Check the dependency requirements of your requested package and its sub-dependencies.'));
+            const versions = [...new Set(paths.map(p => p.version))].sort(semver.compare);
+            console.log(chalk.cyan.bold(`${libraryName}@${versions.join(', ')} is required by ${paths.length}${truncated ? '+' : ''} path(s):`));
+            paths.forEach(p => {
+                console.log(`  ${describeRequirement(p)} ${chalk.gray(`-> ${p.version}`)}`);
+            });
+            if (truncated) {
+                console.log(chalk.gray(`Only the first ${MAX_WHY_PATHS} paths are shown.`));
             }
+        } catch (error) {
+            // A version conflict message already lists every chain that constrains the conflicting library.
+            console.error(chalk.red(error.message));
+            process.exitCode = 1;
+        } finally {
+            saveMetadataIndex(metadataIndex);
         }
     });
 
@@ -1648,15 +4944,17 @@ program
 program
     .command('list')
     .description('List all registered library names in the TPKM registry (can be slow on large registries).')
-    .action(async () => {
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (options) => {
         await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
 
         const listSpinner = ora({ text: `Fetching list of all registered libraries from contract ${currentActiveContractAddress}...`, color: 'yellow' }).start();
         console.warn(chalk.magenta('\nNote: Depending on the smart contract implementation, listing all libraries might be slow or consume significant resources on large public networks.'));
 
         try {
-            // Assumes the smart contract has a function like `getAllLibraryNames()` that returns string[].
-            const libraryNames = await contractReadOnly.getAllLibraryNames();
+            const libraryNames = await reader.getAllLibraryNames();
 
             if (libraryNames && libraryNames.length > 0) {
                  listSpinner.succeed(chalk.green(`Found ${libraryNames.length} registered libraries.`));
@@ -1689,6 +4987,145 @@ program
              }
             console.error(chalk.red(`  ${getRevertReason(error)}`));
             if (process.env.DEBUG) console.error(error.stack);
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+    });
+
+/**
+ * Command: tpkm search <query>
+ * Searches registered libraries by name, tags, language and description, and ranks the matches.
+ * Library metadata comes from the metadata index, so only the first search on a registry reads every library.
+ */
+program
+    .command('search <query>')
+    .description('Search libraries by name, tags, language and description.')
+    .option('-t, --tag <tag>', 'Only show libraries with this tag')
+    .option('-l, --language <language>', 'Only show libraries in this language')
+    .option('-o, --owner <address>', 'Only show libraries owned by this address')
+    .option('--include-private', 'Include private libraries in the results')
+    .option('--limit <number>', 'Maximum number of results to show', String(DEFAULT_SEARCH_LIMIT))
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (query, options) => {
+        const limit = Number(options.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            console.error(chalk.red(`Invalid --limit value: "${options.limit}". Use a positive integer.`));
+            return;
+        }
+        if (options.owner && !ethers.isAddress(options.owner)) {
+            console.error(chalk.red(`Invalid owner address: "${options.owner}".`));
+            return;
+        }
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            console.error(chalk.red('The search query cannot be empty. Use "tpkm list" to see every library.'));
+            return;
+        }
+
+        await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
+
+        const searchSpinner = ora({ text: 'Loading library metadata...', color: 'yellow' }).start();
+        try {
+            const libraryNames = await reader.getAllLibraryNames();
+            const candidates = [];
+            let loaded = 0;
+            await runWithConcurrency(libraryNames, REGISTRY_READ_CONCURRENCY, async (libraryName) => {
+                try {
+                    candidates.push({ name: libraryName, info: await reader.getLibraryInfo(libraryName) });
+                } catch (infoError) {
+                    // Deleted since the name list was read; nothing to show.
+                }
+                searchSpinner.text = `Loading library metadata... (${++loaded}/${libraryNames.length})`;
+            });
+
+            const tagFilter = options.tag ? options.tag.toLowerCase() : null;
+            const languageFilter = options.language ? options.language.toLowerCase() : null;
+            const matches = candidates
+                .filter(({ info }) => options.includePrivate || !info.isPrivate)
+                .filter(({ info }) => !tagFilter || info.tags.some(tag => tag.toLowerCase() === tagFilter))
+                .filter(({ info }) => !languageFilter || (info.language || '').toLowerCase() === languageFilter)
+                .filter(({ info }) => !options.owner || info.owner.toLowerCase() === options.owner.toLowerCase())
+                .map(candidate => ({ ...candidate, score: scoreLibraryMatch(candidate.name, candidate.info, terms) }))
+                .filter(candidate => candidate.score > 0)
+                .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+            if (matches.length === 0) {
+                searchSpinner.info(chalk.gray(`No libraries match "${query}" (searched ${candidates.length}).`));
+                return;
+            }
+            const shown = matches.slice(0, limit);
+            searchSpinner.text = 'Fetching latest versions...';
+            await runWithConcurrency(shown, REGISTRY_READ_CONCURRENCY, async (match) => {
+                match.latest = getLatestVersion(await reader.getVersionNumbers(match.name));
+            });
+            searchSpinner.succeed(chalk.green(`Found ${matches.length} matching libraries (searched ${candidates.length}).`));
+
+            const table = new Table({
+                head: [chalk.cyan('Name'), chalk.cyan('Latest'), chalk.cyan('Description'), chalk.cyan('Language'), chalk.cyan('Tags'), chalk.cyan('Owner')],
+                colWidths: [24, 12, 40, 12, 20, 44],
+                wordWrap: true,
+            });
+            shown.forEach(({ name, info, latest }) => {
+                table.push([
+                    info.isPrivate ? `${name} ${chalk.yellow('(private)')}` : name,
+                    latest || chalk.gray('(none)'),
+                    info.description || chalk.gray('(Not set)'),
+                    info.language || chalk.gray('-'),
+                    info.tags.join(', '),
+                    info.owner,
+                ]);
+            });
+            console.log(table.toString());
+            if (matches.length > shown.length) {
+                console.log(chalk.gray(`Showing the top ${shown.length} of ${matches.length} results. Use --limit to see more.`));
+            }
+        } catch (error) {
+            searchSpinner.fail(chalk.red('Error searching libraries:'));
+            console.error(chalk.red(`  ${getRevertReason(error)}`));
+            if (process.env.DEBUG) console.error(error.stack);
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+    });
+
+/**
+ * Command: tpkm dependents <libraryIdentifier>
+ * Lists every published library version whose dependencies reference a library (or accept a specific version of it).
+ */
+program
+    .command('dependents <libraryIdentifier>')
+    .description('List published library versions that depend on a library (format: "name" or "name@version").')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (libraryIdentifier, options) => {
+        const [libraryName, versionString = null] = libraryIdentifier.split('@');
+        if (!libraryName || (libraryIdentifier.includes('@') && !semver.valid(versionString))) {
+            console.error(chalk.red('Invalid format. Use "libraryName" or "libraryName@version" (e.g., my-lib@1.0.0).'));
+            return;
+        }
+
+        await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
+        const scanSpinner = ora({ text: 'Scanning published versions...', color: 'yellow' }).start();
+        try {
+            const { dependents, skipped } = await findDependents(reader, libraryName, versionString, (scanned, total) => {
+                scanSpinner.text = `Scanning published versions... (${scanned}/${total})`;
+            });
+            const skippedNote = skipped > 0 ? ` ${skipped} version(s) could not be read (e.g., private libraries).` : '';
+            if (dependents.length === 0) {
+                scanSpinner.info(chalk.gray(`No published version depends on ${libraryIdentifier}.${skippedNote}`));
+                return;
+            }
+            scanSpinner.succeed(chalk.green(`${dependents.length} published version(s) depend on ${libraryIdentifier}.${skippedNote}`));
+            printDependentsTable(dependents, !!versionString);
+        } catch (error) {
+            scanSpinner.fail(chalk.red('Error scanning for dependents:'));
+            console.error(chalk.red(`  ${getRevertReason(error)}`));
+            if (process.env.DEBUG) console.error(error.stack);
+        } finally {
+            saveMetadataIndex(metadataIndex);
         }
     });
 
@@ -1697,16 +5134,15 @@ program
  * Marks a specific version of a library as deprecated in the smart contract registry.
  * This serves as a warning to users who try to install or depend on this version.
  * Requires the caller to be the owner of the library record.
- * Format: "libraryName@versionString".
+ * Format: "libraryName@versionString". With `--message`, the reason (e.g., the replacement to use) is stored
+ * on-chain too, which requires a registry contract that supports deprecation messages.
  */
 program
     .command('deprecate <libraryIdentifier>')
     .description('Mark a specific library version as deprecated (format: "name@version"). Requires library ownership.')
-    .action(async (libraryIdentifier) => {
+    .option('-m, --message <text>', 'Reason or replacement shown to users who install or inspect this version (e.g., "use 2.x")')
+    .action(async (libraryIdentifier, options) => {
         await ensureNetworkClientsInitialized(); // Need network access.
-        // Need signer to send the transaction. Will prompt for password.
-        const { contract: writableContractInstance, wallet: currentSignerWallet } = await loadWalletAndConnect();
-        if (!writableContractInstance || !currentSignerWallet) return;
 
         // Parse and validate the identifier.
         const identifierRegex = /^([^@]+)@(.+)$/;
@@ -1722,6 +5158,25 @@ program
             return;
         }
 
+        // A message needs a registry contract with `deprecateVersionWithMessage`. Checked before asking for the password.
+        if (options.message !== undefined) {
+            if (!options.message.trim()) {
+                console.error(chalk.red('The deprecation message cannot be empty.'));
+                process.exitCode = 1;
+                return;
+            }
+            if (!await supportsDeprecationMessages(libraryName, versionString)) {
+                console.error(chalk.red(`The registry contract at ${currentActiveContractAddress} does not support deprecation messages.`));
+                console.log(chalk.yellow('Run "tpkm deprecate" without --message to deprecate the version without one.'));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        // Need signer to send the transaction. Will prompt for password.
+        const { contract: writableContractInstance, wallet: currentSignerWallet } = await loadWalletAndConnect();
+        if (!writableContractInstance || !currentSignerWallet) return;
+
         console.log(chalk.yellow(`Attempting to mark version ${libraryName}@${versionString} as deprecated...`));
 
         // --- Pre-checks before sending transaction ---
@@ -1753,6 +5208,31 @@ program
         }
         // --- End of Pre-checks ---
 
+        // --- Impact report: published versions that depend on this version ---
+        const metadataIndex = await openMetadataIndex();
+        const impactSpinner = ora({ text: `Scanning published versions for dependents of ${libraryName}@${versionString}...`, color: 'gray' }).start();
+        try {
+            const reader = createRegistryReader({ metadataIndex });
+            const { dependents, skipped } = await findDependents(reader, libraryName, versionString, (scanned, total) => {
+                impactSpinner.text = `Scanning published versions for dependents of ${libraryName}@${versionString}... (${scanned}/${total})`;
+            });
+            const skippedNote = skipped > 0 ? ` ${skipped} version(s) could not be read.` : '';
+            if (dependents.length === 0) {
+                impactSpinner.succeed(chalk.gray(`No published version depends on ${libraryName}@${versionString}.${skippedNote}`));
+            } else {
+                impactSpinner.warn(chalk.yellow(`${dependents.length} published version(s) accept ${libraryName}@${versionString}:${skippedNote}`));
+                printDependentsTable(dependents, true);
+                const stranded = dependents.filter(dependent => dependent.alternatives.length === 0).length;
+                if (stranded > 0) {
+                    console.log(chalk.red(`${stranded} of them accept no other non-deprecated version and will keep installing this one.`));
+                }
+            }
+        } catch (impactError) {
+            impactSpinner.warn(chalk.yellow(`Could not compute the impact report: ${impactError.message}`));
+        } finally {
+            saveMetadataIndex(metadataIndex);
+        }
+
 
         // Confirm action with the user.
         const { confirmDeprecate } = await inquirer.prompt([{
@@ -1771,15 +5251,188 @@ program
         const deprecateSpinner = ora({ text: `Sending transaction to deprecate ${libraryName}@${versionString}...`, color: 'yellow' }).start();
         try {
             // Assumes contract has `deprecateVersion(string name, string version)` function.
-            const tx = await writableContractInstance.deprecateVersion(libraryName, versionString);
+            const tx = options.message !== undefined
+                ? await writableContractInstance.deprecateVersionWithMessage(libraryName, versionString, options.message.trim())
+                : await writableContractInstance.deprecateVersion(libraryName, versionString);
             deprecateSpinner.text = `Waiting for transaction confirmation (Hash: ${tx.hash.substring(0,10)}...)...`;
             await tx.wait(1); // Wait for 1 confirmation.
             deprecateSpinner.succeed(chalk.green(`${libraryName}@${versionString} has been marked as deprecated successfully!`));
             console.log(chalk.blue(`Transaction Hash: ${tx.hash}`));
         } catch (error) {
             deprecateSpinner.fail(chalk.red(`Error deprecating ${libraryName}@${versionString}:`));
-            console.error(chalk.red(`  ${getRevertReason(error)}`));
+            console.error(chalk.red(options.message !== undefined && isMissingRegistryFunction(error)
+                ? `  The registry contract at ${currentActiveContractAddress} does not support deprecation messages.`
+                : `  ${getRevertReason(error)}`));
+            if (process.env.DEBUG) console.error(error.stack);
+        }
+    });
+
+/**
+ * Command: tpkm undeprecate <libraryIdentifier>
+ * Reverses `tpkm deprecate`: clears the deprecated flag (and message) of a library version.
+ * Requires the caller to be the owner of the library record and a registry contract that supports it.
+ * Format: "libraryName@versionString".
+ */
+program
+    .command('undeprecate <libraryIdentifier>')
+    .description('Remove the deprecation from a library version (format: "name@version"). Requires library ownership.')
+    .action(async (libraryIdentifier) => {
+        await ensureNetworkClientsInitialized(); // Need network access.
+
+        const match = libraryIdentifier.match(/^([^@]+)@(.+)$/);
+        if (!match || !semver.valid(match[2])) {
+            console.error(chalk.red('Invalid format. Please use "libraryName@versionString" (e.g., my-lib@1.0.0).'));
+            return;
+        }
+        const [, libraryName, versionString] = match;
+
+        // Needs a registry contract with `undeprecateVersion`. Checked before asking for the password.
+        if (!await supportsDeprecationMessages(libraryName, versionString)) {
+            console.error(chalk.red(`The registry contract at ${currentActiveContractAddress} does not support removing a deprecation, ` +
+                                    'so "tpkm undeprecate" is not available on this registry.'));
+            process.exitCode = 1;
+            return;
+        }
+
+        // Need signer to send the transaction. Will prompt for password.
+        const { contract: writableContractInstance, wallet: currentSignerWallet } = await loadWalletAndConnect();
+        if (!writableContractInstance || !currentSignerWallet) return;
+
+        // --- Pre-checks before sending transaction ---
+        const checkSpinner = ora({ text: `Verifying ownership and deprecation status of ${libraryName}@${versionString}...`, color: 'gray' }).start();
+        try {
+            const libInfo = await contractReadOnly.getLibraryInfo(libraryName);
+            if (libInfo[0].toLowerCase() !== currentSignerWallet.address.toLowerCase()) {
+                checkSpinner.fail();
+                throw new Error(`Permission Denied: Your wallet (${currentSignerWallet.address}) is not the owner (${libInfo[0]}) of library "${libraryName}".`);
+            }
+            const versionInfo = await contractReadOnly.getVersionInfo(libraryName, versionString);
+            if (!versionInfo[3]) {
+                checkSpinner.warn(chalk.yellow(`${libraryName}@${versionString} is not deprecated.`));
+                return;
+            }
+            const { message } = await readDeprecationMessage(libraryName, versionString);
+            checkSpinner.succeed(chalk.gray(`Ownership confirmed, version is deprecated${message ? ` ("${message}")` : ''}.`));
+        } catch (checkError) {
+            checkSpinner.fail(chalk.red('Pre-undeprecation check failed:'));
+            console.error(chalk.red(`  ${getRevertReason(checkError)}`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const { confirmUndeprecate } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmUndeprecate',
+            message: `Remove the deprecation from ${libraryName}@${versionString}? Installs will choose it again like any other version.`,
+            default: true
+        }]);
+        if (!confirmUndeprecate) {
+            console.log(chalk.blue('Undeprecation cancelled by user.'));
+            return;
+        }
+
+        const undeprecateSpinner = ora({ text: `Sending transaction to undeprecate ${libraryName}@${versionString}...`, color: 'yellow' }).start();
+        try {
+            const tx = await writableContractInstance.undeprecateVersion(libraryName, versionString);
+            undeprecateSpinner.text = `Waiting for transaction confirmation (Hash: ${tx.hash.substring(0,10)}...)...`;
+            await tx.wait(1); // Wait for 1 confirmation.
+            undeprecateSpinner.succeed(chalk.green(`${libraryName}@${versionString} is no longer deprecated.`));
+            console.log(chalk.blue(`Transaction Hash: ${tx.hash}`));
+        } catch (error) {
+            undeprecateSpinner.fail(chalk.red(`Error undeprecating ${libraryName}@${versionString}:`));
+            console.error(chalk.red(isMissingRegistryFunction(error)
+                ? `  The registry contract at ${currentActiveContractAddress} does not support removing a deprecation.`
+                : `  ${getRevertReason(error)}`));
+            if (process.env.DEBUG) console.error(error.stack);
+        }
+    });
+
+
+// --- Dist-Tag Commands (tpkm dist-tag ...) ---
+// Dist-tags are named pointers to versions (e.g., `latest`, `next`, `beta`) that can be installed by name.
+// They need a registry contract that supports them; without one, `latest` always means the highest non-deprecated
+// stable version (see `getDefaultLatestVersion`).
+const distTagCommand = program.command('dist-tag')
+    .description('Manage the dist-tags (e.g., "latest", "next") that point at versions of a library.');
+
+/**
+ * Command: tpkm dist-tag add <libraryIdentifier> <tag>
+ * Points a dist-tag at a published version, replacing its previous target.
+ */
+distTagCommand
+    .command('add <libraryIdentifier> <tag>')
+    .description('Point a dist-tag at a version (format: "name@version"). Requires library ownership.')
+    .action(async (libraryIdentifier, tag) => {
+        const match = libraryIdentifier.match(/^([^@]+)@(.+)$/);
+        if (!match || !semver.valid(match[2])) {
+            console.error(chalk.red('Invalid format. Please use "libraryName@versionString" (e.g., my-lib@2.0.0-beta.1).'));
+            return;
+        }
+        if (!isValidDistTag(tag)) {
+            console.error(chalk.red(`Invalid dist-tag "${tag}". Tags start with a letter, may contain letters, digits, ".", "_" and "-", and must not look like a version range.`));
+            return;
+        }
+        const [, libraryName, versionString] = match;
+        await changeDistTag(libraryName, `Tagging ${libraryName}@${versionString} as "${tag}"`,
+            contract => contract.setDistTag(libraryName, tag, versionString),
+            async (tags) => {
+                // `getVersionInfo` throws if the version does not exist.
+                await contractReadOnly.getVersionInfo(libraryName, versionString);
+                if (tags[tag] === versionString) throw new Error(`"${tag}" already points at ${versionString}.`);
+            });
+    });
+
+/**
+ * Command: tpkm dist-tag rm <libraryName> <tag>
+ * Removes a dist-tag. Removing `latest` makes it fall back to the highest non-deprecated stable version.
+ */
+distTagCommand
+    .command('rm <libraryName> <tag>')
+    .alias('remove')
+    .description('Remove a dist-tag from a library. Requires library ownership.')
+    .action(async (libraryName, tag) => {
+        await changeDistTag(libraryName, `Removing dist-tag "${tag}" from ${libraryName}`,
+            contract => contract.removeDistTag(libraryName, tag),
+            (tags) => {
+                if (!tags[tag]) throw new Error(`Library "${libraryName}" has no dist-tag "${tag}".`);
+            });
+    });
+
+/**
+ * Command: tpkm dist-tag ls <libraryName>
+ * Lists the dist-tags of a library, including the implicit `latest` when none is set.
+ */
+distTagCommand
+    .command('ls <libraryName>')
+    .alias('list')
+    .description('List the dist-tags of a library.')
+    .option('--no-cache', 'Read directly from the registry contract instead of the local metadata index.')
+    .action(async (libraryName, options) => {
+        await ensureNetworkClientsInitialized(); // Need read-only contract access.
+        const metadataIndex = await openMetadataIndexForCommand(options);
+        const reader = createRegistryReader({ metadataIndex });
+        try {
+            const versions = await reader.getVersionNumbers(libraryName);
+            if (versions.length === 0) {
+                console.log(chalk.yellow(`Library "${libraryName}" was not found or has no published versions.`));
+                return;
+            }
+            const { supported, tags } = await reader.getDistTags(libraryName);
+            const table = new Table({ head: [chalk.cyan('Tag'), chalk.cyan('Version')] });
+            Object.entries(tags).sort(([a], [b]) => a.localeCompare(b)).forEach(([tag, version]) => table.push([tag, version]));
+            if (!tags.latest) {
+                table.push(['latest', `${await getDefaultLatestVersion(reader, libraryName, versions)} ${chalk.gray('(default: highest non-deprecated stable version)')}`]);
+            }
+            console.log(chalk.cyan.bold(`--- Dist-Tags: ${libraryName} ---`));
+            console.log(table.toString());
+            if (!supported) {
+                console.log(chalk.gray('The registry contract does not support dist-tags; only the default "latest" is available.'));
+            }
+        } catch (error) {
+            console.error(chalk.red('Error listing dist-tags:'), getRevertReason(error));
             if (process.env.DEBUG) console.error(error.stack);
+        } finally {
+            saveMetadataIndex(metadataIndex);
         }
     });
 
@@ -2315,28 +5968,56 @@ program
 // --- Parse CLI Arguments and Execute ---
 // =============================================================================
 
-// Process the command-line arguments based on the defined commands and options.
-program.parse(process.argv);
-
-// --- Handle edge cases where no command is provided ---
-
-// If no arguments are given (e.g., just running `tpkm`), or only global options like `--help`,
-// display the main help menu. Commander might handle `--help` automatically, but this catches the bare command case.
-// Exclude the case where the only argument is 'config' itself (handled below).
-const args = process.argv.slice(2); // Get arguments after 'node' and script path.
-if (args.length === 0 || (args.length === 1 && args[0] === '--help')) {
-    if (!program.commands.find(cmd => cmd.name() === args[0])) { // Avoid showing help if a valid command was run without args
-         program.outputHelp();
+// Run the CLI only when executed directly (`tpkm ...`); when required, e.g. by the tests in ./test,
+// only the helper functions exported below are used.
+if (require.main === module) {
+    // Process the command-line arguments based on the defined commands and options.
+    program.parse(process.argv);
+
+    // --- Handle edge cases where no command is provided ---
+
+    // If no arguments are given (e.g., just running `tpkm`), or only global options like `--help`,
+    // display the main help menu. Commander might handle `--help` automatically, but this catches the bare command case.
+    // Exclude the case where the only argument is 'config' itself (handled below).
+    const args = process.argv.slice(2); // Get arguments after 'node' and script path.
+    if (args.length === 0 || (args.length === 1 && args[0] === '--help')) {
+        if (!program.commands.find(cmd => cmd.name() === args[0])) { // Avoid showing help if a valid command was run without args
+             program.outputHelp();
+        }
+    }
+    // If only 'tpkm config' is run, without a specific config subcommand (add, list, etc.),
+    // show the help specific to the 'config' command group.
+    else if (args.length === 1 && args[0] === 'config') {
+        configCommand.outputHelp();
+    }
+    // If only 'tpkm wallet' is run, show help for the wallet command group.
+    else if (args.length === 1 && args[0] === 'wallet') {
+         walletCommand.outputHelp();
     }
-}
-// If only 'tpkm config' is run, without a specific config subcommand (add, list, etc.),
-// show the help specific to the 'config' command group.
-else if (args.length === 1 && args[0] === 'config') {
-    configCommand.outputHelp();
-}
-// If only 'tpkm wallet' is run, show help for the wallet command group.
-else if (args.length === 1 && args[0] === 'wallet') {
-     walletCommand.outputHelp();
 }
 
-// For other cases (valid command + arguments), commander handles the execution via the `.action()` handlers defined above.
\ No newline at end of file
+// For other cases (valid command + arguments), commander handles the execution via the `.action()` handlers defined above.
+
+// --- Exports for Tests ---
+// Helper functions covered by the tests in ./test. Not a public API.
+module.exports = {
+    addToCache,
+    archiveDirectory,
+    collectPackageFiles,
+    commitStagedInstall,
+    computeFileIntegrity,
+    extractArchiveSafely,
+    findReachableLockEntries,
+    getConfigDependencies,
+    getLifecycleScript,
+    getProjectRootDependencies,
+    getUnsafeEntryReason,
+    isMissingRegistryFunction,
+    normalizeGzipHeader,
+    parseAllowedScripts,
+    processInstallation,
+    resolveDependencyGraph,
+    resolveVersionSpecifier,
+    runLifecycleScript,
+    writeDependencyMapping,
+};
@@ -0,0 +1,69 @@
+// Tests for reproducible package archives.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { archiveDirectory, collectPackageFiles, normalizeGzipHeader } = require('../index.js');
+
+/**
+ * Creates a temporary directory that is removed after the test.
+ * @param {object} t - The test context.
+ * @returns {string} The directory.
+ */
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Writes a small library into a directory.
+ * @param {string} dir - The library directory.
+ * @param {number} fileMode - The mode given to non-executable files.
+ * @param {Date} mtime - The modification time given to every file.
+ */
+function writeLibrary(dir, fileMode, mtime) {
+    const files = { 'lib.config.json': '{"name":"lib","version":"1.0.0"}', 'src/index.js': 'module.exports = 1;\n', 'bin/run.sh': '#!/bin/sh\n' };
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(dir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        fs.chmodSync(filePath, relativePath === 'bin/run.sh' ? 0o755 : fileMode);
+        fs.utimesSync(filePath, mtime, mtime);
+    }
+}
+
+test('normalizeGzipHeader clears the modification time and the operating system byte', (t) => {
+    const filePath = path.join(createTempDir(t), 'data.gz');
+    const compressed = zlib.gzipSync('hello');
+    compressed.writeUInt32LE(1700000000, 4);
+    fs.writeFileSync(filePath, compressed);
+
+    normalizeGzipHeader(filePath);
+    const normalized = fs.readFileSync(filePath);
+    assert.strictEqual(normalized.readUInt32LE(4), 0);
+    assert.strictEqual(normalized[9], 0xff);
+    assert.strictEqual(zlib.gunzipSync(normalized).toString(), 'hello');
+});
+
+test('normalizeGzipHeader refuses files that are not gzip', (t) => {
+    const filePath = path.join(createTempDir(t), 'plain.txt');
+    fs.writeFileSync(filePath, 'not compressed at all');
+    assert.throws(() => normalizeGzipHeader(filePath), /Not a gzip file/);
+});
+
+test('archiveDirectory produces identical archives regardless of file times and permissions', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const root = createTempDir(t);
+    const first = path.join(root, 'first');
+    const second = path.join(root, 'second');
+    writeLibrary(first, 0o644, new Date('2020-05-01T10:00:00Z'));
+    writeLibrary(second, 0o600, new Date('2024-11-30T23:59:59Z'));
+
+    await archiveDirectory(first, path.join(root, 'first.tar.gz'), collectPackageFiles(first, {}).files);
+    await archiveDirectory(second, path.join(root, 'second.tar.gz'), collectPackageFiles(second, {}).files);
+    assert.ok(fs.readFileSync(path.join(root, 'first.tar.gz')).equals(fs.readFileSync(path.join(root, 'second.tar.gz'))));
+});
@@ -0,0 +1,56 @@
+// Tests for the tpkm-deps.json mapping files of the nested install layout.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { resolveDependencyGraph, writeDependencyMapping } = require('../index.js');
+
+/**
+ * Creates a temporary install root that is removed after the test.
+ * @param {object} t - The test context.
+ * @returns {string} The directory path.
+ */
+function createInstallRoot(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.removeSync(dir));
+    return dir;
+}
+
+const readMapping = (dir) => JSON.parse(fs.readFileSync(path.join(dir, 'tpkm-deps.json'), 'utf8'));
+
+test('writeDependencyMapping points the project at its top-level versions', (t) => {
+    const installRoot = createInstallRoot(t);
+    writeDependencyMapping(installRoot, { app: '1.0.0', utils: '2.1.0' }, installRoot);
+    assert.deepStrictEqual(readMapping(installRoot), {
+        dependencies: {
+            app: { version: '1.0.0', path: 'app/1.0.0' },
+            utils: { version: '2.1.0', path: 'utils/2.1.0' },
+        },
+    });
+});
+
+test('writeDependencyMapping gives every library the copy it resolved to when versions sit side by side', async (t) => {
+    const registry = {
+        a: { '1.0.0': { c: '^2.0.0' } },
+        b: { '1.0.0': { c: '^1.0.0' } },
+        c: { '1.0.0': {}, '2.0.0': {} },
+    };
+    const reader = {
+        async getVersionNumbers(name) { return Object.keys(registry[name]); },
+        async getVersionInfo(name, version) {
+            const dependencies = Object.entries(registry[name][version]).map(([depName, constraint]) => ({ name: depName, constraint }));
+            return { ipfsHash: `Qm${name}${version}`, deprecated: false, dependencies };
+        },
+    };
+    const graph = await resolveDependencyGraph([{ name: 'a', constraint: '1.0.0' }, { name: 'b', constraint: '1.0.0' }], { reader, nested: true });
+
+    const installRoot = createInstallRoot(t);
+    for (const node of graph.libraries.values()) {
+        writeDependencyMapping(path.join(installRoot, node.name, node.version), node.resolvedDependencies, installRoot);
+    }
+    assert.deepStrictEqual(readMapping(path.join(installRoot, 'a', '1.0.0')).dependencies, { c: { version: '2.0.0', path: '../../c/2.0.0' } });
+    assert.deepStrictEqual(readMapping(path.join(installRoot, 'b', '1.0.0')).dependencies, { c: { version: '1.0.0', path: '../../c/1.0.0' } });
+    assert.deepStrictEqual(readMapping(path.join(installRoot, 'c', '2.0.0')).dependencies, {});
+});
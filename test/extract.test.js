@@ -0,0 +1,106 @@
+// Tests for refusing unsafe entries when extracting package archives.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { extractArchiveSafely, getUnsafeEntryReason } = require('../index.js');
+
+const TAR_TYPE_FLAGS = { file: '0', link: '1', symlink: '2', directory: '5', fifo: '6' };
+
+/**
+ * Builds a gzipped tar archive in memory, one ustar header per entry.
+ * @param {Array<{name: string, type?: string, content?: string, linkname?: string, mode?: number}>} entries - The entries.
+ * @returns {Buffer} The .tar.gz bytes.
+ */
+function buildArchive(entries) {
+    const blocks = [];
+    for (const { name, type = 'file', content = '', linkname = '', mode = 0o644 } of entries) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        const writeField = (value, offset, length) => header.write(value, offset, length, 'utf8');
+        const writeOctal = (value, offset, length) => writeField(value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+        writeField(name, 0, 100);
+        writeOctal(mode, 100, 8);
+        writeOctal(0, 108, 8);
+        writeOctal(0, 116, 8);
+        writeOctal(data.length, 124, 12);
+        writeOctal(0, 136, 12);
+        writeField(TAR_TYPE_FLAGS[type], 156, 1);
+        writeField(linkname, 157, 100);
+        writeField('ustar\0', 257, 6);
+        writeField('00', 263, 2);
+        header.fill(' ', 148, 156); // The checksum is computed with its own field set to spaces.
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        writeField(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Writes an archive into a temporary directory and returns the paths to extract it with.
+ * @param {object} t - The test context; the directory is removed after the test.
+ * @param {Array<object>} entries - The archive entries (see `buildArchive`).
+ * @returns {{archivePath: string, targetPath: string, root: string}} The paths.
+ */
+function prepareArchive(t, entries) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const archivePath = path.join(root, 'package.tar.gz');
+    fs.writeFileSync(archivePath, buildArchive(entries));
+    return { archivePath, targetPath: path.join(root, 'extracted'), root };
+}
+
+test('getUnsafeEntryReason accepts ordinary files, directories and links inside the package', () => {
+    const symlinks = new Set();
+    assert.strictEqual(getUnsafeEntryReason({ name: 'src/index.js', type: 'file' }, symlinks), null);
+    assert.strictEqual(getUnsafeEntryReason({ name: 'src/', type: 'directory' }, symlinks), null);
+    assert.strictEqual(getUnsafeEntryReason({ name: 'lib/current', type: 'symlink', linkname: '../src' }, symlinks), null);
+    assert.strictEqual(getUnsafeEntryReason({ name: 'copy.js', type: 'link', linkname: 'src/index.js' }, symlinks), null);
+});
+
+test('getUnsafeEntryReason rejects absolute paths, traversal and special files', () => {
+    const symlinks = new Set();
+    assert.match(getUnsafeEntryReason({ name: '/etc/passwd', type: 'file' }, symlinks), /absolute path/);
+    assert.match(getUnsafeEntryReason({ name: 'C:\\Windows\\evil.dll', type: 'file' }, symlinks), /absolute path/);
+    assert.match(getUnsafeEntryReason({ name: 'src/../../evil.js', type: 'file' }, symlinks), /path traversal/);
+    assert.match(getUnsafeEntryReason({ name: 'pipe', type: 'fifo' }, symlinks), /unsupported entry type "fifo"/);
+});
+
+test('getUnsafeEntryReason rejects links that point outside the package and paths below links', () => {
+    assert.match(getUnsafeEntryReason({ name: 'escape', type: 'symlink', linkname: '/etc' }, new Set()), /symbolic link to an absolute path/);
+    assert.match(getUnsafeEntryReason({ name: 'src/up', type: 'symlink', linkname: '../../x' }, new Set()), /symbolic link pointing outside/);
+    assert.match(getUnsafeEntryReason({ name: 'hard', type: 'link', linkname: '../x' }, new Set()), /hard link pointing outside/);
+    assert.match(getUnsafeEntryReason({ name: 'dir/file.js', type: 'file' }, new Set(['dir'])), /goes through the symbolic link "dir"/);
+});
+
+test('extractArchiveSafely extracts safe archives and strips setuid bits', async (t) => {
+    const { archivePath, targetPath } = prepareArchive(t, [
+        { name: 'lib.config.json', content: '{}' },
+        { name: 'bin/', type: 'directory', mode: 0o755 },
+        { name: 'bin/run', content: '#!/bin/sh\n', mode: 0o4755 },
+    ]);
+    await extractArchiveSafely(archivePath, targetPath);
+    assert.strictEqual(fs.readFileSync(path.join(targetPath, 'lib.config.json'), 'utf8'), '{}');
+    assert.strictEqual(fs.statSync(path.join(targetPath, 'bin/run')).mode & 0o7000, 0);
+});
+
+test('extractArchiveSafely rejects unsafe entries, reports all of them and writes nothing outside', async (t) => {
+    const { archivePath, targetPath, root } = prepareArchive(t, [
+        { name: 'index.js', content: 'ok' },
+        { name: '../outside.js', content: 'evil' },
+        { name: 'link', type: 'symlink', linkname: '/etc' },
+        { name: 'a', type: 'symlink', linkname: '.' },
+        { name: 'b', type: 'symlink', linkname: 'a/..' },
+    ]);
+    await assert.rejects(extractArchiveSafely(archivePath, targetPath), (error) => {
+        assert.strictEqual(error.code, 'EUNSAFEARCHIVE');
+        assert.deepStrictEqual(error.rejectedEntries.map(entry => entry.name), ['../outside.js', 'link', 'b']);
+        return true;
+    });
+    assert.ok(!fs.existsSync(path.join(root, 'outside.js')));
+});
@@ -0,0 +1,16 @@
+// Tests for archive digests.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { computeFileIntegrity } = require('../index.js');
+
+test('computeFileIntegrity returns an SRI-style SHA-256 digest', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'archive.tar.gz');
+    fs.writeFileSync(filePath, 'hello');
+    assert.strictEqual(await computeFileIntegrity(filePath), 'sha256-LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=');
+});
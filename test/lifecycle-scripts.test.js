@@ -0,0 +1,46 @@
+// Tests for lifecycle scripts (prepublish, test, postinstall) and --allow-scripts.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getLifecycleScript, parseAllowedScripts, runLifecycleScript } = require('../index.js');
+
+test('parseAllowedScripts splits a comma-separated list of library names', () => {
+    assert.deepStrictEqual([...parseAllowedScripts('native-lib,bindings')], ['native-lib', 'bindings']);
+    assert.deepStrictEqual([...parseAllowedScripts(' native-lib , ,bindings,native-lib ')], ['native-lib', 'bindings']);
+});
+
+test('parseAllowedScripts allows nothing when the option is missing or empty', () => {
+    assert.strictEqual(parseAllowedScripts(undefined).size, 0);
+    assert.strictEqual(parseAllowedScripts('').size, 0);
+    assert.strictEqual(parseAllowedScripts(',').size, 0);
+});
+
+test('getLifecycleScript reads a script and validates the "scripts" field', () => {
+    const config = { scripts: { postinstall: 'node build.js' } };
+    assert.strictEqual(getLifecycleScript(config, 'postinstall'), 'node build.js');
+    assert.strictEqual(getLifecycleScript(config, 'prepublish'), null);
+    assert.strictEqual(getLifecycleScript({}, 'postinstall'), null);
+    assert.strictEqual(getLifecycleScript(null, 'postinstall'), null);
+    assert.throws(() => getLifecycleScript({ scripts: ['node build.js'] }, 'postinstall'), /Invalid "scripts" field/);
+    assert.throws(() => getLifecycleScript({ scripts: { postinstall: '  ' } }, 'postinstall'), /Invalid "scripts.postinstall"/);
+});
+
+test('runLifecycleScript runs the command in the library directory with the package environment', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const command = `node -e "require('fs').writeFileSync('env.txt', [process.env.TPKM_PACKAGE_NAME, process.env.TPKM_PACKAGE_VERSION, process.env.TPKM_LIFECYCLE_EVENT].join(' '))"`;
+    await runLifecycleScript({ scriptName: 'postinstall', command, cwd: dir, label: 'lib@1.0.0', name: 'lib', version: '1.0.0' });
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'env.txt'), 'utf8'), 'lib 1.0.0 postinstall');
+});
+
+test('runLifecycleScript rejects when the script exits with a non-zero code', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    await assert.rejects(
+        runLifecycleScript({ scriptName: 'test', command: 'node -e "process.exit(3)"', cwd: os.tmpdir(), label: 'lib@1.0.0', name: 'lib', version: '1.0.0' }),
+        /The test script of lib@1\.0\.0 failed \(exit code 3\)/,
+    );
+});
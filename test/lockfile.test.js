@@ -0,0 +1,50 @@
+// Tests for walking the dependency graph recorded in tpkm-lock.json.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { findReachableLockEntries, getProjectRootDependencies } = require('../index.js');
+
+/**
+ * Builds a lockfile entry.
+ * @param {string} name - The library name.
+ * @param {string} version - The locked version.
+ * @param {Object<string, string>} [resolved={}] - Dependency name -> locked version.
+ * @returns {object} The entry.
+ */
+const entry = (name, version, resolved = {}) => ({ name, version, resolved });
+
+const lockfile = {
+    dependencies: { app: '^1.0.0', tool: '^2.0.0' },
+    libraries: {
+        'app@1.0.0': entry('app', '1.0.0', { utils: '1.2.0' }),
+        'tool@2.1.0': entry('tool', '2.1.0', { utils: '1.2.0', logger: '3.0.0' }),
+        'utils@1.2.0': entry('utils', '1.2.0'),
+        'logger@3.0.0': entry('logger', '3.0.0'),
+        'old@1.0.0': entry('old', '1.0.0', { utils: '1.2.0' }),
+    },
+};
+
+test('findReachableLockEntries follows resolved edges from the roots', () => {
+    const reachable = findReachableLockEntries(lockfile, [{ name: 'app', constraint: '^1.0.0' }, { name: 'tool', constraint: '^2.0.0' }]);
+    assert.deepStrictEqual([...reachable].sort(), ['app@1.0.0', 'logger@3.0.0', 'tool@2.1.0', 'utils@1.2.0']);
+});
+
+test('findReachableLockEntries keeps shared dependencies while another root still needs them', () => {
+    const reachable = findReachableLockEntries(lockfile, [{ name: 'app', constraint: '^1.0.0' }]);
+    assert.deepStrictEqual([...reachable].sort(), ['app@1.0.0', 'utils@1.2.0']);
+});
+
+test('findReachableLockEntries ignores roots whose constraint no locked version satisfies', () => {
+    const reachable = findReachableLockEntries(lockfile, [{ name: 'app', constraint: '^2.0.0' }, { name: 'missing', constraint: '*' }]);
+    assert.strictEqual(reachable.size, 0);
+});
+
+test('getProjectRootDependencies merges lib.config.json over the locked top-level dependencies', () => {
+    const projectConfig = { dependencies: { app: '^1.1.0', extra: '~0.3.0' } };
+    assert.deepStrictEqual(getProjectRootDependencies(projectConfig, lockfile), [
+        { name: 'app', constraint: '^1.1.0' },
+        { name: 'extra', constraint: '~0.3.0' },
+        { name: 'tool', constraint: '^2.0.0' },
+    ]);
+    assert.deepStrictEqual(getProjectRootDependencies(null, null), []);
+});
@@ -0,0 +1,102 @@
+// Tests for offline installs from tpkm-lock.json and the local archive cache.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar-fs');
+const { pipeline } = require('stream/promises');
+
+// The archive cache lives in ~/.tacopkm/cache, resolved when index.js is loaded.
+const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-home-'));
+process.env.HOME = homeDir;
+test.after(() => fs.removeSync(homeDir));
+
+const { addToCache, computeFileIntegrity, processInstallation } = require('../index.js');
+
+/**
+ * Packs a directory with one file into a .tar.gz archive and adds it to the cache.
+ * @param {string} workDir - A scratch directory.
+ * @param {string} cid - The CID to cache the archive under.
+ * @param {string} content - The content of index.js in the archive.
+ * @returns {Promise<string>} The integrity of the archive.
+ */
+async function cacheArchive(workDir, cid, content) {
+    const sourceDir = path.join(workDir, cid);
+    fs.outputFileSync(path.join(sourceDir, 'index.js'), content);
+    const archivePath = path.join(workDir, `${cid}.tar.gz`);
+    await pipeline(tar.pack(sourceDir), zlib.createGzip(), fs.createWriteStream(archivePath));
+    const integrity = await computeFileIntegrity(archivePath);
+    addToCache(cid, archivePath, integrity, cid);
+    return integrity;
+}
+
+/**
+ * Builds a lockfile in which app@1.0.0 depends on utils@1.0.0.
+ * @param {{app: string, utils: string}} integrity - The locked digests.
+ * @returns {object} The lockfile.
+ */
+function createLockfile(integrity) {
+    const entry = (name, version, ipfsHash, digest, dependencies, resolved) => ({
+        name, version, ipfsHash, integrity: digest, publisher: '0x0', timestamp: 0, deprecated: false, dependencies, resolved,
+    });
+    return {
+        layout: 'flat',
+        dependencies: { app: '^1.0.0' },
+        libraries: {
+            'app@1.0.0': entry('app', '1.0.0', 'QmApp100', integrity.app, { utils: '^1.0.0' }, { utils: '1.0.0' }),
+            'utils@1.0.0': entry('utils', '1.0.0', 'QmUtils100', integrity.utils, {}, {}),
+        },
+    };
+}
+
+/**
+ * Creates a project directory that is removed after the test.
+ * @param {object} t - The test context.
+ * @returns {{workDir: string, installRoot: string}} A scratch directory and the install root.
+ */
+function createProject(t) {
+    t.mock.method(console, 'log', () => {});
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.removeSync(projectDir));
+    const workDir = path.join(projectDir, 'work');
+    fs.ensureDirSync(workDir);
+    return { workDir, installRoot: path.join(projectDir, 'tpkm_installed_libs') };
+}
+
+test('processInstallation installs offline from the lockfile and the cache', async (t) => {
+    const { workDir, installRoot } = createProject(t);
+    const integrity = { app: await cacheArchive(workDir, 'QmApp100', 'app'), utils: await cacheArchive(workDir, 'QmUtils100', 'utils') };
+    const lockEntries = new Map();
+    const graph = await processInstallation([{ name: 'app', constraint: '^1.0.0' }], installRoot, {
+        lockfile: createLockfile(integrity), offline: true, lockEntries,
+    });
+    assert.deepStrictEqual([...graph.libraries.keys()].sort(), ['app@1.0.0', 'utils@1.0.0']);
+    assert.strictEqual(fs.readFileSync(path.join(installRoot, 'app', '1.0.0', 'index.js'), 'utf8'), 'app');
+    assert.strictEqual(fs.readFileSync(path.join(installRoot, 'utils', '1.0.0', 'index.js'), 'utf8'), 'utils');
+    assert.strictEqual(lockEntries.get('utils@1.0.0').integrity, integrity.utils);
+});
+
+test('processInstallation lists uncached archives and extracts nothing offline', async (t) => {
+    const { workDir, installRoot } = createProject(t);
+    const integrity = { app: await cacheArchive(workDir, 'QmApp100', 'app'), utils: 'sha256-notcached' };
+    const lockfile = createLockfile(integrity);
+    lockfile.libraries['utils@1.0.0'].ipfsHash = 'QmUtilsMissing';
+    await assert.rejects(
+        processInstallation([{ name: 'app', constraint: '^1.0.0' }], installRoot, { lockfile, offline: true }),
+        /Cannot install offline: 1 archive\(s\) are not in the local cache[\s\S]*utils@1\.0\.0 \(CID QmUtilsMissing\)/,
+    );
+    assert.ok(!fs.existsSync(installRoot));
+});
+
+test('processInstallation refuses a cached archive that does not match the locked digest offline', async (t) => {
+    const { workDir, installRoot } = createProject(t);
+    const integrity = { app: await cacheArchive(workDir, 'QmApp100', 'app'), utils: await cacheArchive(workDir, 'QmUtils100', 'utils') };
+    integrity.utils = integrity.app;
+    await assert.rejects(
+        processInstallation([{ name: 'app', constraint: '^1.0.0' }], installRoot, { lockfile: createLockfile(integrity), offline: true }),
+        (error) => error.code === 'ENOTCACHED' && /utils@1\.0\.0/.test(error.message),
+    );
+    assert.ok(!fs.existsSync(path.join(installRoot, 'utils')));
+});
@@ -0,0 +1,83 @@
+// Tests for selecting the files that go into a package archive.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { collectPackageFiles } = require('../index.js');
+
+/**
+ * Creates a temporary library directory with the given files.
+ * @param {object} t - The test context; the directory is removed after the test.
+ * @param {Object<string, string>} files - Relative path -> content.
+ * @returns {string} The directory.
+ */
+function createLibraryDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [relativePath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relativePath), content);
+    }
+    return dir;
+}
+
+const listPaths = (result) => result.files.map(file => file.path);
+
+test('collectPackageFiles leaves out built-in excludes such as secrets, VCS data and installed libraries', (t) => {
+    const dir = createLibraryDir(t, {
+        'lib.config.json': '{}',
+        'index.js': '',
+        '.env': 'SECRET=1',
+        '.env.local': 'SECRET=2',
+        '.env.example': 'SECRET=',
+        'keystore.json': '{}',
+        'server.pem': '',
+        '.git/HEAD': '',
+        'node_modules/dep/index.js': '',
+        'tpkm_installed_libs/utils/1.0.0/index.js': '',
+        'tpkm-lock.json': '{}',
+        'debug.log': '',
+    });
+    assert.deepStrictEqual(listPaths(collectPackageFiles(dir, {})), ['.env.example', 'index.js', 'lib.config.json']);
+});
+
+test('collectPackageFiles applies .tpkmignore rules, including directory patterns and negations', (t) => {
+    const dir = createLibraryDir(t, {
+        'lib.config.json': '{}',
+        '.tpkmignore': 'build/\n*.tmp\n!keep.tmp\n',
+        'src/index.js': '',
+        'build/out.js': '',
+        'scratch.tmp': '',
+        'keep.tmp': '',
+    });
+    assert.deepStrictEqual(listPaths(collectPackageFiles(dir, {})), ['keep.tmp', 'lib.config.json', 'src/index.js']);
+});
+
+test('collectPackageFiles keeps only whitelisted files, plus lib.config.json', (t) => {
+    const dir = createLibraryDir(t, {
+        'lib.config.json': '{}',
+        'README.md': '',
+        'dist/index.js': '',
+        'dist/.env': '',
+        'src/index.js': '',
+    });
+    const config = { files: ['dist', 'README.md'] };
+    assert.deepStrictEqual(listPaths(collectPackageFiles(dir, config)), ['README.md', 'dist/index.js', 'lib.config.json']);
+});
+
+test('collectPackageFiles rejects an invalid "files" field', (t) => {
+    const dir = createLibraryDir(t, { 'lib.config.json': '{}' });
+    assert.throws(() => collectPackageFiles(dir, { files: 'dist' }), /Invalid "files" field/);
+    assert.throws(() => collectPackageFiles(dir, { files: ['dist', ''] }), /Invalid "files" field/);
+});
+
+test('collectPackageFiles skips symbolic links and reports executables', (t) => {
+    const dir = createLibraryDir(t, { 'lib.config.json': '{}', 'bin/cli.sh': '#!/bin/sh\n' });
+    fs.chmodSync(path.join(dir, 'bin/cli.sh'), 0o755);
+    fs.symlinkSync('/etc/passwd', path.join(dir, 'passwd'));
+    const result = collectPackageFiles(dir, {});
+    assert.deepStrictEqual(result.skipped, ['passwd']);
+    assert.deepStrictEqual(result.files.map(file => [file.path, file.executable]), [['bin/cli.sh', true], ['lib.config.json', false]]);
+});
@@ -0,0 +1,24 @@
+// Tests for reading dependencies from lib.config.json.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getConfigDependencies } = require('../index.js');
+
+test('getConfigDependencies returns the declared dependencies', () => {
+    const config = { dependencies: { utils: '^1.0.0', http: '~2.1.0' } };
+    assert.deepStrictEqual(getConfigDependencies(config), [
+        { name: 'utils', constraint: '^1.0.0' },
+        { name: 'http', constraint: '~2.1.0' },
+    ]);
+});
+
+test('getConfigDependencies skips entries without a constraint', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const config = { dependencies: { utils: '^1.0.0', broken: '', other: 42 } };
+    assert.deepStrictEqual(getConfigDependencies(config), [{ name: 'utils', constraint: '^1.0.0' }]);
+});
+
+test('getConfigDependencies handles a missing config or dependencies field', () => {
+    assert.deepStrictEqual(getConfigDependencies(null), []);
+    assert.deepStrictEqual(getConfigDependencies({ name: 'lib' }), []);
+});
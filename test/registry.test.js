@@ -0,0 +1,77 @@
+// Tests for optional registry contract functions (dist-tags, deprecation messages) and version specifiers.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isMissingRegistryFunction, resolveVersionSpecifier } = require('../index.js');
+
+/**
+ * Builds an error shaped like the ones ethers v6 throws.
+ * @param {object} fields - The error fields (code, data, reason, ...).
+ * @returns {Error} The error.
+ */
+const ethersError = (fields) => Object.assign(new Error(fields.code), fields);
+
+test('isMissingRegistryFunction recognises a revert without data (function not implemented)', () => {
+    assert.strictEqual(isMissingRegistryFunction(ethersError({ code: 'CALL_EXCEPTION', data: null, reason: null, revert: null })), true);
+    assert.strictEqual(isMissingRegistryFunction(ethersError({ code: 'CALL_EXCEPTION', data: '0x', reason: null })), true);
+});
+
+test('isMissingRegistryFunction recognises an empty result from an address without the function', () => {
+    assert.strictEqual(isMissingRegistryFunction(ethersError({ code: 'BAD_DATA', value: '0x' })), true);
+});
+
+test('isMissingRegistryFunction does not hide real reverts or other failures', () => {
+    const revert = ethersError({
+        code: 'CALL_EXCEPTION',
+        data: '0x08c379a0',
+        reason: 'LibraryRegistry: Library not found',
+        revert: { name: 'Error', args: ['LibraryRegistry: Library not found'] },
+    });
+    assert.strictEqual(isMissingRegistryFunction(revert), false);
+    assert.strictEqual(isMissingRegistryFunction(ethersError({ code: 'NETWORK_ERROR' })), false);
+    assert.strictEqual(isMissingRegistryFunction(ethersError({ code: 'BAD_DATA', value: '0x1234' })), false);
+});
+
+/**
+ * Builds a registry reader for one library.
+ * @param {Object<string, boolean>} versions - version -> deprecated.
+ * @param {{supported: boolean, tags: Object<string, string>}} distTags - What `getDistTags` resolves to.
+ * @returns {object} The reader.
+ */
+function createReader(versions, distTags) {
+    return {
+        async getVersionNumbers() { return Object.keys(versions); },
+        async getDistTags() { return distTags; },
+        async getVersionInfo(name, version) { return { deprecated: versions[version], dependencies: [] }; },
+    };
+}
+
+test('resolveVersionSpecifier falls back to the highest non-deprecated stable version without dist-tags', async () => {
+    const reader = createReader({ '1.0.0': false, '1.2.0': false, '1.3.0': true, '2.0.0-beta.1': false }, { supported: false, tags: {} });
+    assert.strictEqual(await resolveVersionSpecifier(reader, { name: 'lib', specifier: 'latest', kind: 'tag' }), '1.2.0');
+});
+
+test('resolveVersionSpecifier uses the highest stable version when every stable version is deprecated', async () => {
+    const reader = createReader({ '1.0.0': true, '1.1.0': true }, { supported: false, tags: {} });
+    assert.strictEqual(await resolveVersionSpecifier(reader, { name: 'lib', specifier: 'latest', kind: 'tag' }), '1.1.0');
+});
+
+test('resolveVersionSpecifier follows dist-tags and ranges', async () => {
+    const reader = createReader({ '1.0.0': false, '1.2.0': false, '2.0.0-beta.1': false }, { supported: true, tags: { next: '2.0.0-beta.1', latest: '1.0.0' } });
+    assert.strictEqual(await resolveVersionSpecifier(reader, { name: 'lib', specifier: 'latest', kind: 'tag' }), '1.0.0');
+    assert.strictEqual(await resolveVersionSpecifier(reader, { name: 'lib', specifier: 'next', kind: 'tag' }), '2.0.0-beta.1');
+    assert.strictEqual(await resolveVersionSpecifier(reader, { name: 'lib', specifier: '^1.0.0', kind: 'range' }), '1.2.0');
+    await assert.rejects(resolveVersionSpecifier(reader, { name: 'lib', specifier: 'beta', kind: 'tag' }), /has no dist-tag "beta"/);
+});
+
+test('resolveVersionSpecifier explains that other tags need dist-tag support', async () => {
+    const reader = createReader({ '1.0.0': false }, { supported: false, tags: {} });
+    await assert.rejects(resolveVersionSpecifier(reader, { name: 'lib', specifier: 'next', kind: 'tag' }), /does not support dist-tags/);
+});
+
+test('resolveVersionSpecifier lets ranges match pre-releases only when asked to', async () => {
+    const reader = createReader({ '1.0.0': false, '1.1.0-beta.1': false }, { supported: true, tags: {} });
+    const range = { name: 'lib', specifier: '^1.0.0', kind: 'range' };
+    assert.strictEqual(await resolveVersionSpecifier(reader, range), '1.0.0');
+    assert.strictEqual(await resolveVersionSpecifier(reader, range, { includePrerelease: true }), '1.1.0-beta.1');
+});
@@ -0,0 +1,137 @@
+// Tests for the backtracking dependency resolver.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { resolveDependencyGraph } = require('../index.js');
+
+/**
+ * Builds an in-memory registry reader with the interface of `createRegistryReader`.
+ * @param {Object<string, Object<string, Object<string, string>>>} registry - name -> version -> dependencies.
+ * @param {string[]} [deprecated=[]] - "name@version" keys of the deprecated versions.
+ * @returns {{reader: object, fetched: string[]}} The reader and the "name@version" keys it was asked about.
+ */
+function createFakeReader(registry, deprecated = []) {
+    const fetched = [];
+    const reader = {
+        async getVersionNumbers(name) {
+            return Object.keys(registry[name] || {});
+        },
+        async getVersionInfo(name, version) {
+            fetched.push(`${name}@${version}`);
+            const dependencies = Object.entries(registry[name][version]).map(([depName, constraint]) => ({ name: depName, constraint }));
+            return { ipfsHash: `Qm${name}${version}`, integrity: null, publisher: '0x0', timestamp: 0,
+                     deprecated: deprecated.includes(`${name}@${version}`), deprecationMessage: null, dependencies };
+        },
+    };
+    return { reader, fetched };
+}
+
+const selectedVersions = (graph) => [...graph.libraries.keys()].sort();
+
+test('resolveDependencyGraph picks the highest versions when nothing conflicts', async () => {
+    const { reader } = createFakeReader({
+        app: { '1.0.0': { utils: '^1.0.0' } },
+        utils: { '1.0.0': {}, '1.2.0': {}, '2.0.0': {} },
+    });
+    const graph = await resolveDependencyGraph([{ name: 'app', constraint: '^1.0.0' }], { reader, deprecationPolicy: 'allow' });
+    assert.deepStrictEqual(selectedVersions(graph), ['app@1.0.0', 'utils@1.2.0']);
+    assert.deepStrictEqual(graph.rootDependencies, { app: '1.0.0' });
+    assert.deepStrictEqual(graph.libraries.get('app@1.0.0').resolvedDependencies, { utils: '1.2.0' });
+});
+
+test('resolveDependencyGraph backtracks to an older version when a later requirement conflicts', async () => {
+    const { reader } = createFakeReader({
+        a: { '1.0.0': { c: '^1.0.0' }, '1.1.0': { c: '^2.0.0' } },
+        b: { '1.0.0': { c: '^1.0.0' } },
+        c: { '1.0.0': {}, '2.0.0': {} },
+    });
+    const graph = await resolveDependencyGraph(
+        [{ name: 'a', constraint: '^1.0.0' }, { name: 'b', constraint: '^1.0.0' }],
+        { reader, deprecationPolicy: 'allow' },
+    );
+    assert.deepStrictEqual(selectedVersions(graph), ['a@1.0.0', 'b@1.0.0', 'c@1.0.0']);
+});
+
+test('resolveDependencyGraph jumps over choices that played no part in a conflict', async () => {
+    const { reader, fetched } = createFakeReader({
+        a: { '1.0.0': { c: '^1.0.0' }, '1.1.0': { c: '^2.0.0' } },
+        x: { '1.0.0': {}, '2.0.0': {}, '3.0.0': {} },
+        b: { '1.0.0': { c: '^1.0.0' } },
+        c: { '1.0.0': {}, '2.0.0': {} },
+    });
+    const graph = await resolveDependencyGraph(
+        [{ name: 'a', constraint: '^1.0.0' }, { name: 'x', constraint: '*' }, { name: 'b', constraint: '^1.0.0' }],
+        { reader, deprecationPolicy: 'allow' },
+    );
+    assert.deepStrictEqual(selectedVersions(graph), ['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'x@3.0.0']);
+    // The conflict on "c" involves only "a" and "b", so older versions of "x" are never tried.
+    assert.ok(!fetched.includes('x@2.0.0') && !fetched.includes('x@1.0.0'), `unexpected reads: ${fetched.join(', ')}`);
+});
+
+test('resolveDependencyGraph explains unsatisfiable graphs with the requirement chains', async () => {
+    const { reader } = createFakeReader({
+        a: { '1.0.0': { c: '^2.0.0' } },
+        b: { '1.0.0': { c: '^1.0.0' } },
+        c: { '1.0.0': {}, '2.0.0': {} },
+    });
+    await assert.rejects(
+        resolveDependencyGraph([{ name: 'a', constraint: '1.0.0' }, { name: 'b', constraint: '1.0.0' }], { reader, deprecationPolicy: 'allow' }),
+        (error) => {
+            assert.match(error.message, /^Version conflict for "c"/);
+            assert.match(error.message, /\(project\) > a@1\.0\.0 requires c@\^2\.0\.0/);
+            assert.match(error.message, /\(project\) > b@1\.0\.0 requires c@\^1\.0\.0/);
+            return true;
+        },
+    );
+});
+
+test('resolveDependencyGraph installs conflicting versions side by side in nested mode', async () => {
+    const { reader } = createFakeReader({
+        a: { '1.0.0': { c: '^2.0.0' } },
+        b: { '1.0.0': { c: '^1.0.0' } },
+        c: { '1.0.0': {}, '2.0.0': {} },
+    });
+    const graph = await resolveDependencyGraph(
+        [{ name: 'a', constraint: '1.0.0' }, { name: 'b', constraint: '1.0.0' }],
+        { reader, nested: true, deprecationPolicy: 'allow' },
+    );
+    assert.deepStrictEqual(selectedVersions(graph), ['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'c@2.0.0']);
+    assert.deepStrictEqual(graph.libraries.get('b@1.0.0').resolvedDependencies, { c: '1.0.0' });
+});
+
+test('resolveDependencyGraph prefers locked versions that still satisfy the constraints', async () => {
+    const { reader } = createFakeReader({ utils: { '1.0.0': {}, '1.5.0': {} } });
+    const lockfile = { dependencies: { utils: '^1.0.0' }, libraries: { 'utils@1.0.0': { name: 'utils', version: '1.0.0' } } };
+    const graph = await resolveDependencyGraph([{ name: 'utils', constraint: '^1.0.0' }], { reader, lockfile, deprecationPolicy: 'allow' });
+    assert.deepStrictEqual(selectedVersions(graph), ['utils@1.0.0']);
+});
+
+test('resolveDependencyGraph prefers non-deprecated versions by default', async () => {
+    const { reader } = createFakeReader({ utils: { '1.0.0': {}, '1.1.0': {}, '1.2.0': {} } }, ['utils@1.2.0']);
+    const graph = await resolveDependencyGraph([{ name: 'utils', constraint: '^1.0.0' }], { reader, deprecationPolicy: 'prefer' });
+    assert.deepStrictEqual(selectedVersions(graph), ['utils@1.1.0']);
+});
+
+test('resolveDependencyGraph falls back to a deprecated version when nothing else fits, unless strict', async () => {
+    const { reader } = createFakeReader({ utils: { '1.0.0': {}, '1.2.0': {} } }, ['utils@1.2.0']);
+    const rootDependencies = [{ name: 'utils', constraint: '~1.2.0' }];
+    const graph = await resolveDependencyGraph(rootDependencies, { reader, deprecationPolicy: 'prefer' });
+    assert.deepStrictEqual(selectedVersions(graph), ['utils@1.2.0']);
+    await assert.rejects(
+        resolveDependencyGraph(rootDependencies, { reader, deprecationPolicy: 'strict' }),
+        /only deprecated versions satisfy every requirement \(1\.2\.0\), and --strict does not allow them/,
+    );
+});
+
+test('resolveDependencyGraph keeps a locked version that was deprecated later', async () => {
+    const { reader } = createFakeReader({ utils: { '1.0.0': {}, '1.1.0': {} } }, ['utils@1.0.0']);
+    const lockfile = { dependencies: { utils: '^1.0.0' }, libraries: { 'utils@1.0.0': { name: 'utils', version: '1.0.0' } } };
+    const graph = await resolveDependencyGraph([{ name: 'utils', constraint: '^1.0.0' }], { reader, lockfile, deprecationPolicy: 'prefer' });
+    assert.deepStrictEqual(selectedVersions(graph), ['utils@1.0.0']);
+});
+
+test('resolveDependencyGraph ignores deprecation under the allow policy', async () => {
+    const { reader } = createFakeReader({ utils: { '1.0.0': {}, '1.2.0': {} } }, ['utils@1.2.0']);
+    const graph = await resolveDependencyGraph([{ name: 'utils', constraint: '^1.0.0' }], { reader, deprecationPolicy: 'allow' });
+    assert.deepStrictEqual(selectedVersions(graph), ['utils@1.2.0']);
+});
@@ -0,0 +1,59 @@
+// Tests for moving a staged install into place.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { commitStagedInstall } = require('../index.js');
+
+/**
+ * Creates a project directory with a staging directory and an install root, removed after the test.
+ * Files are given as { "relative/path": "content" }.
+ * @param {object} t - The test context.
+ * @param {Object<string, string>} installed - Files already in the install root.
+ * @param {Object<string, string>} staged - Files in the staging directory.
+ * @returns {{stagingRoot: string, installRoot: string}} The two directories.
+ */
+function createProject(t, installed, staged) {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpkm-test-'));
+    t.after(() => fs.removeSync(projectDir));
+    const installRoot = path.join(projectDir, 'tpkm_installed_libs');
+    const stagingRoot = path.join(projectDir, '.tpkm-staging-1');
+    for (const [root, files] of [[installRoot, installed], [stagingRoot, staged]]) {
+        fs.ensureDirSync(root);
+        for (const [relativePath, content] of Object.entries(files)) {
+            fs.outputFileSync(path.join(root, relativePath), content);
+        }
+    }
+    return { stagingRoot, installRoot };
+}
+
+const read = (root, relativePath) => fs.readFileSync(path.join(root, relativePath), 'utf8');
+
+test('commitStagedInstall replaces installed copies with the staged ones', (t) => {
+    const { stagingRoot, installRoot } = createProject(t,
+        { 'a/1.0.0/index.js': 'old a', 'keep/1.0.0/index.js': 'keep' },
+        { 'a/1.0.0/index.js': 'new a', 'b/2.0.0/index.js': 'new b', 'tpkm-deps.json': '{}' });
+    commitStagedInstall(stagingRoot, installRoot, ['a/1.0.0', 'b/2.0.0', 'tpkm-deps.json']);
+    assert.strictEqual(read(installRoot, 'a/1.0.0/index.js'), 'new a');
+    assert.strictEqual(read(installRoot, 'b/2.0.0/index.js'), 'new b');
+    assert.strictEqual(read(installRoot, 'tpkm-deps.json'), '{}');
+    assert.strictEqual(read(installRoot, 'keep/1.0.0/index.js'), 'keep');
+    assert.ok(!fs.existsSync(`${stagingRoot}-previous`));
+});
+
+test('commitStagedInstall restores replaced copies and removes new ones when a move fails', (t) => {
+    const { stagingRoot, installRoot } = createProject(t,
+        { 'a/1.0.0/index.js': 'old a', 'c/1.0.0/index.js': 'old c' },
+        { 'a/1.0.0/index.js': 'new a', 'b/2.0.0/index.js': 'new b' });
+    // "c/1.0.0" was never staged, so moving it fails after its installed copy was set aside.
+    assert.throws(
+        () => commitStagedInstall(stagingRoot, installRoot, ['a/1.0.0', 'b/2.0.0', 'c/1.0.0']),
+        /The previous installation was restored/,
+    );
+    assert.strictEqual(read(installRoot, 'a/1.0.0/index.js'), 'old a');
+    assert.strictEqual(read(installRoot, 'c/1.0.0/index.js'), 'old c');
+    assert.ok(!fs.existsSync(path.join(installRoot, 'b')), 'the library directory created by the install is removed');
+    assert.ok(!fs.existsSync(`${stagingRoot}-previous`));
+});